@@ -1,188 +1,3676 @@
+#!/usr/bin/env node
 const express = require('express');
 const axios = require('axios');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const YAML = require('yaml');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { AsyncLocalStorage } = require('async_hooks');
+const readline = require('readline');
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const fs = require('fs');
+const path = require('path');
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Basic middleware
-app.use(express.json({ limit: '10mb' }));
+// In stdio mode stdout carries JSON-RPC only, so diagnostics go to stderr
+const STDIO_MODE = process.argv.includes('--stdio');
+if (STDIO_MODE) {
+  console.log = console.error;
+  console.info = console.error;
+  console.debug = console.error;
+}
+
+// Structured logging: one JSON object per line with a level, a message and the correlation
+// fields of the request being handled (requestId, sessionId, method, tool, jobId), which
+// follow a request through async calls via AsyncLocalStorage. LOG_FORMAT=pretty prints
+// the same fields as readable text for local development.
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LOG_LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+const LOG_FORMAT = process.env.LOG_FORMAT === 'pretty' ? 'pretty' : 'json';
+
+// How prompts and other free text appear in logs: 'redact' logs only their length,
+// 'truncate' the first LOG_TRUNCATE_LENGTH characters, 'full' everything
+const LOG_PROMPTS = ['redact', 'truncate', 'full'].includes(process.env.LOG_PROMPTS) ? process.env.LOG_PROMPTS : 'redact';
+const LOG_TRUNCATE_LENGTH = 80;
+// Even with LOG_PROMPTS=full, strings this long (inline base64 media) are cut
+const LOG_MAX_STRING_LENGTH = 2000;
+
+const requestContext = new AsyncLocalStorage();
+
+// Runs fn with fields added to the current request context
+function withLogContext(fields, fn) {
+  return requestContext.run({ ...requestContext.getStore(), ...fields }, fn);
+}
+
+// A prompt or other user text as it should appear in logs
+function logText(text) {
+  const value = String(text ?? '');
+  if (LOG_PROMPTS === 'redact') {
+    return `[${value.length} chars]`;
+  }
+  const limit = LOG_PROMPTS === 'truncate' ? LOG_TRUNCATE_LENGTH : LOG_MAX_STRING_LENGTH;
+  return value.length > limit ? `${value.substring(0, limit)}…` : value;
+}
+
+// Copy of a JSON value with every string passed through logText, for logging arguments
+function redactForLog(value) {
+  if (typeof value === 'string') {
+    return logText(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(redactForLog);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redactForLog(item)]));
+  }
+  return value;
+}
+
+function serializeLogError(error) {
+  return {
+    message: error.message,
+    ...(error.code !== undefined && { code: error.code }),
+    ...(LOG_LEVEL === 'debug' && error.stack && { stack: error.stack })
+  };
+}
+
+class Logger {
+  constructor({ level, format, stream, bindings = {} }) {
+    this.level = level;
+    this.format = format;
+    this.stream = stream;
+    this.bindings = bindings;
+  }
+
+  child(bindings) {
+    return new Logger({ ...this, bindings: { ...this.bindings, ...bindings } });
+  }
+
+  isEnabled(level) {
+    return LOG_LEVELS[level] >= LOG_LEVELS[this.level];
+  }
+
+  write(level, msg, fields = {}) {
+    if (!this.isEnabled(level)) {
+      return;
+    }
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg,
+      ...this.bindings,
+      ...requestContext.getStore()
+    };
+    for (const [key, value] of Object.entries(fields)) {
+      if (value !== undefined) {
+        entry[key] = value instanceof Error ? serializeLogError(value) : value;
+      }
+    }
+
+    if (this.format === 'pretty') {
+      const { time, level: entryLevel, msg: message, requestId, ...rest } = entry;
+      const extra = Object.entries(rest).map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`);
+      this.stream.write(`${time} ${entryLevel.toUpperCase().padEnd(5)} ${requestId ? `[${requestId}] ` : ''}${message}${extra.length ? ` ${extra.join(' ')}` : ''}\n`);
+    } else {
+      this.stream.write(`${JSON.stringify(entry)}\n`);
+    }
+  }
+
+  debug(msg, fields) {
+    this.write('debug', msg, fields);
+  }
+
+  info(msg, fields) {
+    this.write('info', msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.write('warn', msg, fields);
+  }
+
+  error(msg, fields) {
+    this.write('error', msg, fields);
+  }
+}
+
+const logger = new Logger({
+  level: LOG_LEVEL,
+  format: LOG_FORMAT,
+  stream: STDIO_MODE ? process.stderr : process.stdout
+});
+
+// Append-only audit log of tool calls: who called which tool with what arguments, how long
+// it took and how it ended. One JSON object per line, rotated to <file>.1 ... <file>.N once
+// the file reaches AUDIT_LOG_MAX_BYTES. Disabled unless AUDIT_LOG_FILE is set.
+const AUDIT_LOG_FILE = process.env.AUDIT_LOG_FILE;
+const AUDIT_LOG_MAX_BYTES = parseInt(process.env.AUDIT_LOG_MAX_BYTES, 10) || 10 * 1024 * 1024;
+const AUDIT_LOG_MAX_FILES = parseInt(process.env.AUDIT_LOG_MAX_FILES, 10) || 5;
+
+class AuditLog {
+  constructor({ filePath, maxBytes, maxFiles }) {
+    this.filePath = filePath;
+    this.maxBytes = maxBytes;
+    this.maxFiles = maxFiles;
+    this.size = null;
+    this.writing = Promise.resolve();
+  }
+
+  get enabled() {
+    return Boolean(this.filePath);
+  }
+
+  // Writes are chained so lines never interleave and rotation never races an append
+  record(entry) {
+    if (!this.enabled) {
+      return this.writing;
+    }
+    const line = `${JSON.stringify({ time: new Date().toISOString(), ...entry })}\n`;
+    this.writing = this.writing
+      .then(() => this.append(line))
+      .catch(error => logger.error('Failed to write audit log', { error, file: this.filePath }));
+    return this.writing;
+  }
+
+  async append(line) {
+    if (this.size === null) {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      try {
+        this.size = (await fs.promises.stat(this.filePath)).size;
+      } catch (error) {
+        this.size = 0;
+      }
+    }
+    const bytes = Buffer.byteLength(line);
+    if (this.size > 0 && this.size + bytes > this.maxBytes) {
+      await this.rotate();
+    }
+    await fs.promises.appendFile(this.filePath, line, { mode: 0o600 });
+    this.size += bytes;
+  }
+
+  async rotate() {
+    await fs.promises.rm(`${this.filePath}.${this.maxFiles}`, { force: true });
+    for (let index = this.maxFiles - 1; index >= 1; index--) {
+      await fs.promises.rename(`${this.filePath}.${index}`, `${this.filePath}.${index + 1}`).catch(() => {});
+    }
+    await fs.promises.rename(this.filePath, `${this.filePath}.1`);
+    this.size = 0;
+  }
+}
+
+const auditLog = new AuditLog({ filePath: AUDIT_LOG_FILE, maxBytes: AUDIT_LOG_MAX_BYTES, maxFiles: AUDIT_LOG_MAX_FILES });
+
+// Audit outcome for a tool call that was rejected with an MCP error
+const AUDIT_ERROR_OUTCOMES = {
+  [-32602]: 'invalid',
+  [-32005]: 'forbidden',
+  [-32006]: 'rate_limited',
+  [-32007]: 'blocked'
+};
+
+// Every finished tool call is counted in the metrics and audited. Arguments are logged
+// with the same prompt redaction as the application log.
+function recordToolCall({ session, tool, args, startedAt, outcome, error = null, moderation = null }) {
+  const durationMs = Date.now() - startedAt;
+  const toolLabel = toolRegistry.get(tool) ? tool : 'unknown';
+  toolCallsTotal.inc({ tool: toolLabel, outcome });
+  // Rejected calls never ran, so they would only drag the latencies down
+  if (outcome === 'success' || outcome === 'error') {
+    toolCallDuration.observe({ tool: toolLabel, model: metricModelLabel(tool, args) }, durationMs / 1000);
+  }
 
-// CORS headers
+  const context = requestContext.getStore() || {};
+  return auditLog.record({
+    requestId: context.requestId || null,
+    ...(context.jobId && { jobId: context.jobId }),
+    sessionId: session?.id || null,
+    transport: session?.transport || null,
+    apiKey: session?.auth?.name || null,
+    remoteAddress: session?.remoteAddress || null,
+    tool,
+    arguments: redactForLog(args ?? {}),
+    durationMs,
+    outcome,
+    ...(error && { error }),
+    ...(moderation && { moderation: moderation.outcome })
+  });
+}
+
+// Prometheus metrics, served in the text exposition format on /metrics. Counters and
+// histograms accumulate per label set; gauges read the live server state at scrape time.
+const METRICS_DURATION_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+function formatMetricLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  const escape = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+  return `{${entries.map(([key, value]) => `${key}="${escape(value)}"`).join(',')}}`;
+}
+
+class Counter {
+  constructor(name, help) {
+    this.type = 'counter';
+    this.name = name;
+    this.help = help;
+    this.series = new Map();
+  }
+
+  // Callers pass label keys in a fixed order, so the serialized labels identify the series
+  inc(labels = {}, value = 1) {
+    const key = JSON.stringify(labels);
+    const series = this.series.get(key) || { labels, value: 0 };
+    series.value += value;
+    this.series.set(key, series);
+  }
+
+  render() {
+    return [...this.series.values()].map(({ labels, value }) => `${this.name}${formatMetricLabels(labels)} ${value}`);
+  }
+}
+
+class Histogram {
+  constructor(name, help, buckets) {
+    this.type = 'histogram';
+    this.name = name;
+    this.help = help;
+    this.buckets = buckets;
+    this.series = new Map();
+  }
+
+  observe(labels, value) {
+    const key = JSON.stringify(labels);
+    let series = this.series.get(key);
+    if (!series) {
+      series = { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.series.set(key, series);
+    }
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  render() {
+    const lines = [];
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatMetricLabels({ ...labels, le: bound })} ${counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatMetricLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatMetricLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatMetricLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+// collect() returns a number, or [{ labels, value }] for a labelled gauge
+class Gauge {
+  constructor(name, help, collect) {
+    this.type = 'gauge';
+    this.name = name;
+    this.help = help;
+    this.collect = collect;
+  }
+
+  render() {
+    const values = this.collect();
+    const series = Array.isArray(values) ? values : [{ labels: {}, value: values }];
+    return series.map(({ labels, value }) => `${this.name}${formatMetricLabels(labels)} ${value}`);
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  render() {
+    const lines = [];
+    for (const metric of this.metrics) {
+      lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...metric.render());
+    }
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+const metrics = new MetricsRegistry();
+const toolCallsTotal = metrics.register(new Counter('mcp_tool_calls_total', 'Tool calls by tool and outcome'));
+const toolCallDuration = metrics.register(new Histogram(
+  'mcp_tool_call_duration_seconds',
+  'Latency of tool calls that ran, by tool and model',
+  METRICS_DURATION_BUCKETS
+));
+const upstreamRequestsTotal = metrics.register(new Counter(
+  'pollinations_requests_total',
+  'Pollinations requests (each retry counts) by upstream and HTTP status, or timeout/network_error without a response'
+));
+const upstreamRequestDuration = metrics.register(new Histogram(
+  'pollinations_request_duration_seconds',
+  'Latency of Pollinations requests by upstream',
+  METRICS_DURATION_BUCKETS
+));
+const responseBytesTotal = metrics.register(new Counter('http_response_bytes_total', 'Bytes sent in HTTP response bodies by route'));
+
+// Model names come from the caller, so only known ones become label values
+function metricModelLabel(toolName, args) {
+  const model = args?.model;
+  if (model === undefined) {
+    return '';
+  }
+  const known = modelCatalog.get('image', model) || modelCatalog.get('text', model)
+    || toolRegistry.get(toolName)?.inputSchema.properties?.model?.default === model;
+  return known ? String(model) : 'other';
+}
+
+// Streamable HTTP transport endpoint (MCP 2025-03-26+)
+const STREAMABLE_HTTP_PATH = '/stream';
+
+// Newest first; the first entry is offered when a client asks for a version we don't know
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+// Comma-separated list of origins allowed to call the server, '*' allows any
+const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS || '*')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
+
+// Basic middleware. Media inputs (images, audio) arrive base64-encoded inside JSON
+// bodies, so their size limits are derived from this one.
+const JSON_BODY_LIMIT_BYTES = 10 * 1024 * 1024;
+app.use(express.json({ limit: JSON_BODY_LIMIT_BYTES }));
+
+// Every HTTP request gets a correlation ID: the caller's X-Request-ID when it looks sane,
+// otherwise a fresh one. It is echoed back and attached to every log line for the request.
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+// Probes and scrapes would drown everything else at info level
+const PROBE_PATHS = new Set(['/health', '/livez', '/readyz', '/metrics']);
 app.use((req, res, next) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+  const incoming = req.get('x-request-id');
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  const startedAt = Date.now();
+  res.set('X-Request-ID', requestId);
+
+  // Bodies are counted as they are written, so long-lived SSE streams report as they go.
+  // The matched route keeps the label set small; unmatched paths count as 'other'.
+  const { write, end } = res;
+  const countBytes = (chunk, encoding) => {
+    if (chunk && typeof chunk !== 'function') {
+      const bytes = typeof chunk === 'string' ? Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : 'utf8') : chunk.length;
+      responseBytesTotal.inc({ route: req.route?.path || 'other' }, bytes);
+    }
+  };
+  res.write = function (chunk, encoding, ...rest) {
+    countBytes(chunk, encoding);
+    return write.call(this, chunk, encoding, ...rest);
+  };
+  res.end = function (chunk, encoding, ...rest) {
+    countBytes(chunk, encoding);
+    return end.call(this, chunk, encoding, ...rest);
+  };
+
+  res.on('finish', () => {
+    const level = PROBE_PATHS.has(req.path) ? 'debug' : 'info';
+    logger[level]('HTTP request', {
+      requestId,
+      httpMethod: req.method,
+      path: req.path,
+      status: res.statusCode,
+      durationMs: Date.now() - startedAt
+    });
+  });
+  requestContext.run({ requestId }, next);
+});
+
+// CORS headers, driven by ALLOWED_ORIGINS
+app.use((req, res, next) => {
+  const origin = req.headers.origin;
+  const allowAnyOrigin = ALLOWED_ORIGINS.includes('*');
+
+  // Requests from browsers on other origins are refused outright (guards against DNS rebinding)
+  if (origin && !allowAnyOrigin && !ALLOWED_ORIGINS.includes(origin)) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: `Origin ${origin} is not allowed`
+    });
+  }
+
+  if (allowAnyOrigin) {
+    res.header('Access-Control-Allow-Origin', '*');
+  } else if (origin) {
+    res.header('Access-Control-Allow-Origin', origin);
+    res.header('Vary', 'Origin');
+  }
+  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-API-Key, X-Connection-ID, X-Request-ID, Mcp-Session-Id, MCP-Protocol-Version, Last-Event-ID');
+  res.header('Access-Control-Expose-Headers', 'Mcp-Session-Id, X-Request-ID');
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
   if (req.method === 'OPTIONS') {
     res.sendStatus(200);
   } else {
     next();
   }
-});
+});
+
+function jsonRpcError(res, status, id, code, message) {
+  return res.status(status).json({
+    jsonrpc: '2.0',
+    id: id ?? null,
+    error: { code, message }
+  });
+}
+
+// Load API keys from API_KEY (full access), API_KEYS ("key:scope|scope,...") and
+// API_KEYS_FILE (JSON array of { name, key, scopes }). Keys are indexed by hash.
+function loadApiKeys() {
+  const records = [];
+
+  if (process.env.API_KEY) {
+    records.push({ name: 'default', key: process.env.API_KEY, scopes: ['*'] });
+  }
+
+  if (process.env.API_KEYS) {
+    process.env.API_KEYS.split(',').map(entry => entry.trim()).filter(Boolean).forEach((entry, index) => {
+      const [key, scopes] = entry.split(':');
+      records.push({
+        name: `key-${index + 1}`,
+        key,
+        scopes: scopes ? scopes.split('|').map(scope => scope.trim()).filter(Boolean) : ['*']
+      });
+    });
+  }
+
+  if (process.env.API_KEYS_FILE) {
+    const fileKeys = JSON.parse(fs.readFileSync(process.env.API_KEYS_FILE, 'utf8'));
+    for (const record of Array.isArray(fileKeys) ? fileKeys : fileKeys.keys || []) {
+      if (!record.key) {
+        throw new Error(`API key entry '${record.name || 'unnamed'}' in ${process.env.API_KEYS_FILE} has no key`);
+      }
+      records.push({
+        name: record.name || `file-key-${records.length + 1}`,
+        key: record.key,
+        scopes: Array.isArray(record.scopes) && record.scopes.length > 0 ? record.scopes : ['*']
+      });
+    }
+  }
+
+  const keys = new Map();
+  for (const { name, key, scopes } of records) {
+    keys.set(hashApiKey(key), { name, scopes });
+  }
+  return keys;
+}
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+const apiKeys = loadApiKeys();
+const AUTH_ENABLED = apiKeys.size > 0;
+
+// Whether the authenticated principal may call a tool; null means auth is disabled
+function isToolAllowed(auth, toolName) {
+  if (!auth) {
+    return true;
+  }
+  // Scopes may name a tool's category (image, text, models), the tool itself, or '*'
+  const category = toolRegistry.get(toolName)?.scope;
+  return auth.scopes.some(scope => scope === '*' || scope === toolName || scope === category);
+}
+
+// Authentication middleware: accepts "Authorization: Bearer <key>", "X-API-Key: <key>",
+// or an api_key query parameter (for browser EventSource, which can't set headers)
+function authenticate(req, res, next) {
+  req.auth = null;
+  if (!AUTH_ENABLED) {
+    return next();
+  }
+
+  const authorization = req.headers.authorization || '';
+  const token = authorization.startsWith('Bearer ')
+    ? authorization.slice('Bearer '.length).trim()
+    : req.headers['x-api-key'] || req.query.api_key;
+
+  const id = Array.isArray(req.body) ? null : req.body?.id;
+  if (!token) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return jsonRpcError(res, 401, id, -32004, 'Unauthorized: missing API key');
+  }
+
+  const principal = apiKeys.get(hashApiKey(token));
+  if (!principal) {
+    res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+    return jsonRpcError(res, 401, id, -32004, 'Unauthorized: invalid API key');
+  }
+
+  req.auth = principal;
+  next();
+}
+
+// Origin the client used to reach us, for building links back to this server
+function requestBaseUrl(req) {
+  return `${req.protocol}://${req.get('host')}`;
+}
+
+// A session may only be used with the key that opened it
+function isSessionOwner(session, auth) {
+  return !session.auth || (auth && session.auth.name === auth.name);
+}
+
+// Rate limiting: sliding-window budgets per tool category plus a cap on concurrent
+// tool calls per client, with a bounded queue for calls waiting on a free slot.
+// A budget of 0 means unlimited.
+const RATE_LIMIT_WINDOW_MS = parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10) || 15 * 60 * 1000;
+const RATE_LIMIT_MAX_REQUESTS = parseInt(process.env.RATE_LIMIT_MAX_REQUESTS, 10) || 0;
+const RATE_LIMIT_BUDGETS = {
+  image: parseInt(process.env.RATE_LIMIT_IMAGE_MAX_REQUESTS, 10) || RATE_LIMIT_MAX_REQUESTS,
+  text: parseInt(process.env.RATE_LIMIT_TEXT_MAX_REQUESTS, 10) || RATE_LIMIT_MAX_REQUESTS,
+  audio: parseInt(process.env.RATE_LIMIT_AUDIO_MAX_REQUESTS, 10) || RATE_LIMIT_MAX_REQUESTS
+};
+const MAX_CONCURRENT_TOOL_CALLS = parseInt(process.env.MAX_CONCURRENT_TOOL_CALLS, 10) || 4;
+const MAX_QUEUED_TOOL_CALLS = parseInt(process.env.MAX_QUEUED_TOOL_CALLS, 10) || 16;
+const TOOL_QUEUE_TIMEOUT_MS = parseInt(process.env.TOOL_QUEUE_TIMEOUT_MS, 10) || 60000;
+
+class RateLimiter {
+  constructor({ windowMs, budgets, maxConcurrent, maxQueued, queueTimeoutMs }) {
+    this.windowMs = windowMs;
+    this.budgets = budgets;
+    this.maxConcurrent = maxConcurrent;
+    this.maxQueued = maxQueued;
+    this.queueTimeoutMs = queueTimeoutMs;
+    this.clients = new Map();
+  }
+
+  getClient(clientKey) {
+    let client = this.clients.get(clientKey);
+    if (!client) {
+      client = { hits: {}, inFlight: 0, queue: [] };
+      this.clients.set(clientKey, client);
+    }
+    return client;
+  }
+
+  // Record a call against the category budget, or throw with the time until enough slots
+  // free up. Calls that do several units of upstream work (batches) pass a higher cost.
+  // Returns a function that gives the charge back for calls that end up never running.
+  consume(clientKey, category, cost = 1) {
+    const limit = this.budgets[category];
+    if (!limit) {
+      return () => {};
+    }
+    if (cost > limit) {
+      throw new McpError(-32006, `Rate limit exceeded: this call needs ${cost} ${category} requests but the budget is ${limit} per ${Math.round(this.windowMs / 1000)}s`, {
+        reason: 'rate_limit',
+        category,
+        limit,
+        cost,
+        windowMs: this.windowMs
+      });
+    }
+
+    const client = this.getClient(clientKey);
+    const now = Date.now();
+    const hits = (client.hits[category] || []).filter(timestamp => timestamp > now - this.windowMs);
+    client.hits[category] = hits;
+
+    if (hits.length + cost > limit) {
+      const retryAfterMs = hits[hits.length + cost - limit - 1] + this.windowMs - now;
+      throw new McpError(-32006, `Rate limit exceeded: ${limit} ${category} requests per ${Math.round(this.windowMs / 1000)}s`, {
+        reason: 'rate_limit',
+        category,
+        limit,
+        windowMs: this.windowMs,
+        retryAfterMs,
+        retryAfter: Math.ceil(retryAfterMs / 1000)
+      });
+    }
+    for (let i = 0; i < cost; i++) {
+      hits.push(now);
+    }
+
+    let refunded = false;
+    return () => {
+      if (refunded) {
+        return;
+      }
+      refunded = true;
+      // Pruning replaces the array, so look the hits up again
+      const current = client.hits[category] || [];
+      for (let i = 0; i < cost; i++) {
+        const index = current.lastIndexOf(now);
+        if (index !== -1) {
+          current.splice(index, 1);
+        }
+      }
+    };
+  }
+
+  // Check the budget and wait for a concurrency slot; resolves with a release function.
+  // Aborting the signal takes a queued call out of the queue. Calls that are rejected
+  // or leave the queue without a slot get their budget back.
+  async acquire(clientKey, category, signal, cost = 1) {
+    const refund = this.consume(clientKey, category, cost);
+
+    const client = this.getClient(clientKey);
+    if (client.inFlight < this.maxConcurrent) {
+      client.inFlight++;
+      return () => this.release(clientKey);
+    }
+
+    if (client.queue.length >= this.maxQueued) {
+      refund();
+      throw new McpError(-32006, `Too many concurrent tool calls: ${client.inFlight} in flight and ${client.queue.length} queued`, {
+        reason: 'queue_full',
+        maxConcurrent: this.maxConcurrent,
+        maxQueued: this.maxQueued,
+        retryAfterMs: 1000,
+        retryAfter: 1
+      });
+    }
+
+    return new Promise((resolve, reject) => {
+      const leaveQueue = () => {
+        clearTimeout(waiter.timer);
+        signal?.removeEventListener('abort', onAbort);
+        const index = client.queue.indexOf(waiter);
+        if (index !== -1) {
+          client.queue.splice(index, 1);
+        }
+      };
+      const onAbort = () => {
+        leaveQueue();
+        refund();
+        reject(new Error('Request cancelled while queued'));
+      };
+      const waiter = {
+        grant: () => {
+          leaveQueue();
+          resolve(() => this.release(clientKey));
+        },
+        timer: setTimeout(() => {
+          leaveQueue();
+          refund();
+          reject(new McpError(-32006, `Timed out after ${this.queueTimeoutMs}ms waiting for a free tool call slot`, {
+            reason: 'queue_timeout',
+            retryAfterMs: 1000,
+            retryAfter: 1
+          }));
+        }, this.queueTimeoutMs)
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+      client.queue.push(waiter);
+    });
+  }
+
+  // Take up to `count` concurrency slots that are free right now, without waiting or
+  // charging the budget. Tools that fan out (batches) use it to stay within the client's
+  // concurrency cap. Returns the number granted and a function releasing them all.
+  reserve(clientKey, count) {
+    const client = this.getClient(clientKey);
+    const granted = Math.max(0, Math.min(count, this.maxConcurrent - client.inFlight));
+    client.inFlight += granted;
+    let released = false;
+    return {
+      count: granted,
+      release: () => {
+        if (released) {
+          return;
+        }
+        released = true;
+        for (let i = 0; i < granted; i++) {
+          this.release(clientKey);
+        }
+      }
+    };
+  }
+
+  // Hand the slot straight to the next queued call, if any
+  release(clientKey) {
+    const client = this.clients.get(clientKey);
+    if (!client) {
+      return;
+    }
+    const next = client.queue.shift();
+    if (next) {
+      next.grant();
+    } else {
+      client.inFlight--;
+    }
+  }
+
+  // Forget clients with no recent calls and nothing in flight
+  prune() {
+    const cutoff = Date.now() - this.windowMs;
+    for (const [clientKey, client] of this.clients) {
+      const recent = Object.values(client.hits).some(hits => hits.some(timestamp => timestamp > cutoff));
+      if (!recent && client.inFlight === 0 && client.queue.length === 0) {
+        this.clients.delete(clientKey);
+      }
+    }
+  }
+
+  // Totals across clients only: /health is public, so it must not name keys or addresses
+  getUsage() {
+    this.prune();
+    const cutoff = Date.now() - this.windowMs;
+    const usage = { clients: this.clients.size, inFlight: 0, queued: 0, used: {} };
+    for (const client of this.clients.values()) {
+      usage.inFlight += client.inFlight;
+      usage.queued += client.queue.length;
+      for (const [category, hits] of Object.entries(client.hits)) {
+        usage.used[category] = (usage.used[category] || 0) + hits.filter(timestamp => timestamp > cutoff).length;
+      }
+    }
+
+    return {
+      windowMs: this.windowMs,
+      budgets: this.budgets,
+      maxConcurrent: this.maxConcurrent,
+      maxQueued: this.maxQueued,
+      ...usage
+    };
+  }
+}
+
+const rateLimiter = new RateLimiter({
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  budgets: RATE_LIMIT_BUDGETS,
+  maxConcurrent: MAX_CONCURRENT_TOOL_CALLS,
+  maxQueued: MAX_QUEUED_TOOL_CALLS,
+  queueTimeoutMs: TOOL_QUEUE_TIMEOUT_MS
+});
+
+setInterval(() => rateLimiter.prune(), 60000).unref();
+
+// Limits apply per API key when authenticated, otherwise per client IP, falling back to the session
+function rateLimitKey(session) {
+  if (session.auth) {
+    return `key:${session.auth.name}`;
+  }
+  if (session.remoteAddress) {
+    return `ip:${session.remoteAddress}`;
+  }
+  return `session:${session.id}`;
+}
+
+// Streamable HTTP sessions that sit idle this long without an open stream are closed
+const SESSION_IDLE_TIMEOUT_MS = parseInt(process.env.SESSION_IDLE_TIMEOUT_MS, 10) || 30 * 60 * 1000;
+
+// Error raised for protocol-level failures that map to a specific JSON-RPC error code
+class McpError extends Error {
+  constructor(code, message, data) {
+    super(message);
+    this.name = 'McpError';
+    this.code = code;
+    this.data = data;
+  }
+}
+
+// MCP session lifecycle: uninitialized -> initialized -> closed
+const SESSION_STATES = {
+  UNINITIALIZED: 'uninitialized',
+  INITIALIZED: 'initialized',
+  CLOSED: 'closed'
+};
+
+// Registry of MCP sessions keyed by connection/session ID. Emits 'close' with the
+// session so transports can release whatever they attached to it.
+class SessionRegistry extends EventEmitter {
+  constructor() {
+    super();
+    this.sessions = new Map();
+  }
+
+  create(transport, { id = crypto.randomUUID(), auth = null, remoteAddress = null, baseUrl = null } = {}) {
+    const session = {
+      id,
+      transport,
+      state: SESSION_STATES.UNINITIALIZED,
+      createdAt: new Date().toISOString(),
+      lastActivity: Date.now(),
+      protocolVersion: null,
+      clientInfo: null,
+      clientCapabilities: null,
+      auth,
+      remoteAddress,
+      baseUrl,
+      // Transports replace this with a writer for server-to-client messages
+      send: () => false,
+      // In-flight tool calls by JSON-RPC id, so they can be cancelled
+      inFlight: new Map(),
+      // Resource URIs this session subscribed to with resources/subscribe
+      subscriptions: new Set()
+    };
+    this.sessions.set(id, session);
+    return session;
+  }
+
+  get(id) {
+    return this.sessions.get(id);
+  }
+
+  markInitialized(session, { protocolVersion, clientInfo, clientCapabilities }) {
+    session.state = SESSION_STATES.INITIALIZED;
+    session.protocolVersion = protocolVersion;
+    session.clientInfo = clientInfo || null;
+    session.clientCapabilities = clientCapabilities || {};
+  }
+
+  close(id, reason = 'closed') {
+    const session = this.sessions.get(id);
+    if (!session) {
+      return;
+    }
+    session.state = SESSION_STATES.CLOSED;
+    this.sessions.delete(id);
+    this.emit('close', session, reason);
+  }
+
+  // Send a message to every initialized session whose transport can deliver it,
+  // optionally only to sessions matching a filter
+  broadcast(message, filter = () => true) {
+    for (const session of this.sessions.values()) {
+      if (session.state === SESSION_STATES.INITIALIZED && filter(session)) {
+        session.send(message);
+      }
+    }
+  }
+
+  closeIdle(maxIdleMs) {
+    const cutoff = Date.now() - maxIdleMs;
+    for (const session of [...this.sessions.values()]) {
+      if (session.transport === 'streamable-http' && !session.stream && session.lastActivity < cutoff) {
+        this.close(session.id, 'idle timeout');
+      }
+    }
+  }
+
+  stats() {
+    const stats = { total: this.sessions.size, byTransport: {}, byState: {} };
+    for (const session of this.sessions.values()) {
+      stats.byTransport[session.transport] = (stats.byTransport[session.transport] || 0) + 1;
+      stats.byState[session.state] = (stats.byState[session.state] || 0) + 1;
+    }
+    return stats;
+  }
+}
+
+const sessions = new SessionRegistry();
+
+// Store active connections (legacy SSE streams), keyed by their session ID
+const activeConnections = new Map();
+
+// Release transport resources when a session goes away
+sessions.on('close', (session, reason) => {
+  logger.info('Session closed', { sessionId: session.id, reason });
+
+  // Nobody is left to receive the results of in-flight work
+  for (const [requestId, inFlight] of session.inFlight) {
+    logger.info('Cancelling in-flight request', { sessionId: session.id, rpcId: requestId });
+    inFlight.cancelled = true;
+    inFlight.controller.abort();
+  }
+
+  const connection = activeConnections.get(session.id);
+  if (connection) {
+    connection.connected = false;
+    clearInterval(connection.keepAlive);
+    if (!connection.res.destroyed) {
+      connection.res.end();
+    }
+    activeConnections.delete(session.id);
+  }
+
+  clearInterval(session.keepAlive);
+  if (session.stream && !session.stream.destroyed) {
+    session.stream.end();
+  }
+});
+
+setInterval(() => sessions.closeIdle(SESSION_IDLE_TIMEOUT_MS), 60000).unref();
+
+// Upstream resilience: retries with exponential backoff and jitter that honour Retry-After,
+// plus a circuit breaker per upstream that fails fast while Pollinations is down.
+// Image and text have separate policies because image generation is slower and costlier.
+const RETRY_POLICIES = {
+  image: {
+    maxAttempts: parseInt(process.env.IMAGE_RETRY_MAX_ATTEMPTS, 10) || 3,
+    baseDelayMs: parseInt(process.env.IMAGE_RETRY_BASE_DELAY_MS, 10) || 1000,
+    maxDelayMs: parseInt(process.env.IMAGE_RETRY_MAX_DELAY_MS, 10) || 15000,
+    timeoutMs: parseInt(process.env.IMAGE_TIMEOUT_MS, 10) || 30000
+  },
+  text: {
+    maxAttempts: parseInt(process.env.TEXT_RETRY_MAX_ATTEMPTS, 10) || 3,
+    baseDelayMs: parseInt(process.env.TEXT_RETRY_BASE_DELAY_MS, 10) || 500,
+    maxDelayMs: parseInt(process.env.TEXT_RETRY_MAX_DELAY_MS, 10) || 8000,
+    timeoutMs: parseInt(process.env.TEXT_TIMEOUT_MS, 10) || 30000
+  }
+};
+const CIRCUIT_BREAKER_THRESHOLD = parseInt(process.env.CIRCUIT_BREAKER_THRESHOLD, 10) || 5;
+const CIRCUIT_BREAKER_COOLDOWN_MS = parseInt(process.env.CIRCUIT_BREAKER_COOLDOWN_MS, 10) || 30000;
+
+// Statuses worth retrying; other 4xx responses mean the request itself is wrong
+const RETRYABLE_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+// Network errors and timeouts have no response and are always retryable
+function isRetryableError(error) {
+  if (!error.response) {
+    return true;
+  }
+  return RETRYABLE_STATUSES.has(error.response.status);
+}
+
+// Status label for the upstream request metrics
+function upstreamStatusLabel(error) {
+  if (error.response) {
+    return error.response.status;
+  }
+  return error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' ? 'timeout' : 'network_error';
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Sleep that ends early with an error when the signal aborts
+function abortableDelay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      return reject(new Error('canceled'));
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new Error('canceled'));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+// Opens after `threshold` consecutive failures. Once the cooldown has passed a single
+// probe request is let through: success closes the circuit, failure opens it again.
+class CircuitBreaker {
+  constructor(name, { threshold, cooldownMs }) {
+    this.name = name;
+    this.threshold = threshold;
+    this.cooldownMs = cooldownMs;
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.probing = false;
+    this.lastError = null;
+    this.lastSuccessAt = null;
+    this.lastFailureAt = null;
+    this.counters = { requests: 0, failures: 0, retries: 0, rejected: 0 };
+  }
+
+  // Throws when calls should fail fast instead of reaching the upstream
+  assertAvailable() {
+    if (this.state === CIRCUIT_STATES.OPEN && Date.now() - this.openedAt >= this.cooldownMs) {
+      this.state = CIRCUIT_STATES.HALF_OPEN;
+      this.probing = false;
+      logger.info('Circuit half-open; sending a probe request', { upstream: this.name });
+    }
+
+    if (this.state === CIRCUIT_STATES.OPEN || (this.state === CIRCUIT_STATES.HALF_OPEN && this.probing)) {
+      this.counters.rejected++;
+      const retryInMs = Math.max(0, this.openedAt + this.cooldownMs - Date.now());
+      const error = new Error(`Pollinations ${this.name} API is unavailable after ${this.consecutiveFailures} consecutive failures; retry in ${Math.ceil(retryInMs / 1000)}s`);
+      error.code = 'CIRCUIT_OPEN';
+      throw error;
+    }
+
+    if (this.state === CIRCUIT_STATES.HALF_OPEN) {
+      this.probing = true;
+    }
+    this.counters.requests++;
+  }
+
+  recordSuccess() {
+    if (this.state !== CIRCUIT_STATES.CLOSED) {
+      logger.info('Circuit closed', { upstream: this.name });
+    }
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.probing = false;
+    this.lastSuccessAt = new Date().toISOString();
+  }
+
+  recordFailure(error) {
+    this.counters.failures++;
+    this.consecutiveFailures++;
+    this.lastError = error.message;
+    this.lastFailureAt = new Date().toISOString();
+
+    if (this.state === CIRCUIT_STATES.HALF_OPEN || this.consecutiveFailures >= this.threshold) {
+      if (this.state !== CIRCUIT_STATES.OPEN) {
+        logger.warn('Circuit opened', { upstream: this.name, consecutiveFailures: this.consecutiveFailures, error });
+      }
+      this.state = CIRCUIT_STATES.OPEN;
+      this.openedAt = Date.now();
+      this.probing = false;
+    }
+  }
+
+  // A cancelled probe says nothing about the upstream; let the next call probe instead
+  recordCancelled() {
+    this.probing = false;
+  }
+
+  getStats() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt: this.state === CIRCUIT_STATES.CLOSED ? null : new Date(this.openedAt + this.cooldownMs).toISOString(),
+      lastError: this.lastError,
+      lastSuccessAt: this.lastSuccessAt,
+      lastFailureAt: this.lastFailureAt,
+      ...this.counters
+    };
+  }
+}
+
+// Output formats for generated speech and the MIME types they are served with
+const SPEECH_FORMATS = {
+  mp3: 'audio/mpeg',
+  wav: 'audio/wav',
+  flac: 'audio/flac',
+  opus: 'audio/ogg'
+};
+
+// Pollinations API client
+class PollinationsClient {
+  constructor() {
+    this.imageBaseUrl = 'https://image.pollinations.ai/prompt';
+    this.imageModelsUrl = 'https://image.pollinations.ai/models';
+    this.textBaseUrl = 'https://text.pollinations.ai';
+    this.policies = RETRY_POLICIES;
+    this.breakers = {
+      image: new CircuitBreaker('image', { threshold: CIRCUIT_BREAKER_THRESHOLD, cooldownMs: CIRCUIT_BREAKER_COOLDOWN_MS }),
+      text: new CircuitBreaker('text', { threshold: CIRCUIT_BREAKER_THRESHOLD, cooldownMs: CIRCUIT_BREAKER_COOLDOWN_MS })
+    };
+  }
+
+  // Send an axios request to the image or text upstream under that upstream's retry
+  // policy and circuit breaker. Cancelled requests are never retried.
+  async request(kind, config) {
+    const policy = this.policies[kind];
+    const breaker = this.breakers[kind];
+
+    for (let attempt = 1; ; attempt++) {
+      breaker.assertAvailable();
+      const startedAt = Date.now();
+      try {
+        const response = await axios({ timeout: policy.timeoutMs, ...config });
+        this.recordMetrics(kind, response.status, startedAt);
+        breaker.recordSuccess();
+        logger.debug('Pollinations request succeeded', { upstream: kind, attempt, status: response.status, durationMs: Date.now() - startedAt });
+        return response;
+      } catch (error) {
+        if (axios.isCancel(error) || config.signal?.aborted) {
+          breaker.recordCancelled();
+          throw error;
+        }
+        this.recordMetrics(kind, upstreamStatusLabel(error), startedAt);
+        if (!isRetryableError(error)) {
+          // The upstream answered, so it is up even though this request was rejected
+          breaker.recordSuccess();
+          throw error;
+        }
+        breaker.recordFailure(error);
+
+        const retryAfterMs = parseRetryAfter(error.response?.headers?.['retry-after']);
+        if (attempt >= policy.maxAttempts || (retryAfterMs !== null && retryAfterMs > policy.maxDelayMs)) {
+          throw error;
+        }
+
+        // Exponential backoff with jitter, but never sooner than the upstream asked for
+        const backoffMs = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (attempt - 1));
+        const delayMs = Math.max(Math.round(backoffMs / 2 + Math.random() * backoffMs / 2), retryAfterMs || 0);
+        breaker.counters.retries++;
+        logger.warn('Pollinations request failed; retrying', { upstream: kind, attempt, maxRetries: policy.maxAttempts - 1, delayMs, durationMs: Date.now() - startedAt, error });
+        await abortableDelay(delayMs, config.signal);
+      }
+    }
+  }
+
+  recordMetrics(kind, status, startedAt) {
+    upstreamRequestsTotal.inc({ upstream: kind, status: String(status) });
+    upstreamRequestDuration.observe({ upstream: kind }, (Date.now() - startedAt) / 1000);
+  }
+
+  // Circuit state and counters per upstream, reported on /health
+  getHealth() {
+    return {
+      image: this.breakers.image.getStats(),
+      text: this.breakers.text.getStats()
+    };
+  }
+
+  // Upstream model catalogue for 'image' or 'text'
+  async fetchModels(kind) {
+    const url = kind === 'image' ? this.imageModelsUrl : `${this.textBaseUrl}/models`;
+    const response = await axios.get(url, { timeout: 10000 });
+    if (!Array.isArray(response.data)) {
+      throw new Error(`Unexpected ${kind} model catalogue format from ${url}`);
+    }
+    return response.data;
+  }
+
+  async generateImage(prompt, options = {}) {
+    try {
+      const { width = 1024, height = 1024, model = 'flux', seed, image, signal } = options;
+      const params = new URLSearchParams({
+        width: width.toString(),
+        height: height.toString(),
+        model,
+        nologo: 'true',
+        nofeed: 'true',
+        ...(seed !== undefined && { seed: seed.toString() }),
+        ...(image && { image })
+      });
+
+      const imageUrl = `${this.imageBaseUrl}/${encodeURIComponent(prompt)}?${params}`;
+      logger.info('Generating image', { model, width, height, prompt: logText(prompt) });
+
+      const response = await this.request('image', {
+        method: 'get',
+        url: imageUrl,
+        responseType: 'arraybuffer',
+        signal
+      });
+
+      const base64 = Buffer.from(response.data).toString('base64');
+      return {
+        success: true,
+        base64,
+        url: imageUrl,
+        contentType: response.headers['content-type'] || 'image/png'
+      };
+    } catch (error) {
+      logger.error('Image generation failed', { error });
+      throw new Error(`Image generation failed: ${error.message}`);
+    }
+  }
+
+  async generateText(prompt, model = 'openai', options = {}) {
+    try {
+      logger.info('Generating text', { model, prompt: logText(prompt) });
+
+      const response = await this.request('text', {
+        method: 'post',
+        url: `${this.textBaseUrl}/${model}`,
+        data: {
+          messages: [{ role: 'user', content: prompt }],
+          jsonMode: false
+        },
+        signal: options.signal,
+        headers: { 'Content-Type': 'application/json' }
+      });
+
+      return {
+        success: true,
+        content: response.data
+      };
+    } catch (error) {
+      logger.error('Text generation failed', { error });
+      throw new Error(`Text generation failed: ${error.message}`);
+    }
+  }
+
+  // Multi-turn chat through Pollinations' OpenAI-compatible endpoint
+  async chatCompletion(messages, options = {}) {
+    try {
+      const { model = 'openai', temperature, topP, seed, maxTokens, jsonMode = false, signal } = options;
+      logger.info('Chat completion', { model, messages: messages.length });
+
+      const response = await this.request('text', {
+        method: 'post',
+        url: `${this.textBaseUrl}/openai`,
+        data: {
+          model,
+          messages,
+          ...(temperature !== undefined && { temperature }),
+          ...(topP !== undefined && { top_p: topP }),
+          ...(seed !== undefined && { seed }),
+          ...(maxTokens !== undefined && { max_tokens: maxTokens }),
+          ...(jsonMode && { response_format: { type: 'json_object' } })
+        },
+        signal,
+        headers: { 'Content-Type': 'application/json' }
+      });
+
+      const choice = response.data?.choices?.[0];
+      return {
+        success: true,
+        content: choice?.message?.content ?? '',
+        finishReason: choice?.finish_reason || null,
+        model: response.data?.model || model,
+        usage: response.data?.usage || null
+      };
+    } catch (error) {
+      logger.error('Chat completion failed', { error });
+      throw new Error(`Chat completion failed: ${error.message}`);
+    }
+  }
+
+  // Streamed chat completion: calls onDelta with each piece of text as it arrives
+  // and resolves with the assembled result once the upstream stream ends
+  async streamChatCompletion(messages, options = {}, onDelta = () => {}) {
+    const { model = 'openai', temperature, topP, seed, maxTokens, jsonMode = false, signal } = options;
+    logger.info('Streaming chat completion', { model, messages: messages.length });
+
+    let response;
+    try {
+      // Only opening the stream is retried; once text is flowing it has already been forwarded
+      response = await this.request('text', {
+        method: 'post',
+        url: `${this.textBaseUrl}/openai`,
+        data: {
+          model,
+          messages,
+          stream: true,
+          ...(temperature !== undefined && { temperature }),
+          ...(topP !== undefined && { top_p: topP }),
+          ...(seed !== undefined && { seed }),
+          ...(maxTokens !== undefined && { max_tokens: maxTokens }),
+          ...(jsonMode && { response_format: { type: 'json_object' } })
+        },
+        signal,
+        responseType: 'stream',
+        headers: { 'Content-Type': 'application/json', 'Accept': 'text/event-stream' }
+      });
+    } catch (error) {
+      logger.error('Streaming chat completion failed', { error });
+      throw new Error(`Chat completion failed: ${error.message}`);
+    }
+
+    return new Promise((resolve, reject) => {
+      let buffer = '';
+      let content = '';
+      let finishReason = null;
+      let responseModel = model;
+      let usage = null;
+      let done = false;
+
+      const finish = () => {
+        if (!done) {
+          done = true;
+          resolve({ success: true, content, finishReason, model: responseModel, usage });
+        }
+      };
+
+      // Upstream sends OpenAI-style SSE: "data: {chunk}" lines, terminated by "data: [DONE]"
+      const handleLine = (line) => {
+        if (!line.startsWith('data:')) {
+          return;
+        }
+        const data = line.slice('data:'.length).trim();
+        if (data === '[DONE]') {
+          finish();
+          return;
+        }
+        try {
+          const chunk = JSON.parse(data);
+          const choice = chunk.choices?.[0];
+          const delta = choice?.delta?.content;
+          responseModel = chunk.model || responseModel;
+          usage = chunk.usage || usage;
+          finishReason = choice?.finish_reason || finishReason;
+          if (delta) {
+            content += delta;
+            onDelta(delta, content);
+          }
+        } catch (error) {
+          logger.warn('Skipping unparseable stream chunk', { chunk: logText(data) });
+        }
+      };
+
+      // Decode across chunk boundaries so a multi-byte character split between chunks survives
+      response.data.setEncoding('utf8');
+      response.data.on('data', (chunk) => {
+        buffer += chunk;
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(line => handleLine(line.trim()));
+      });
+
+      response.data.on('end', () => {
+        if (buffer.trim()) {
+          handleLine(buffer.trim());
+        }
+        finish();
+      });
+
+      const fail = (error) => {
+        if (!done) {
+          done = true;
+          reject(new Error(`Chat completion failed: ${error.message}`));
+        }
+      };
+
+      response.data.on('error', (error) => {
+        logger.error('Streaming chat completion failed', { error });
+        fail(error);
+      });
+
+      // Stop reading the upstream stream as soon as the caller cancels
+      if (signal) {
+        signal.addEventListener('abort', () => {
+          response.data.destroy();
+          fail(new Error('canceled'));
+        }, { once: true });
+      }
+    });
+  }
+
+  // Text-to-speech through the audio model; the audio comes back base64-encoded in the message
+  async generateSpeech(text, options = {}) {
+    try {
+      const { voice = 'alloy', format = 'mp3', model = 'openai-audio', signal } = options;
+      logger.info('Generating speech', { model, voice, format, text: logText(text) });
+
+      const response = await this.request('text', {
+        method: 'post',
+        url: `${this.textBaseUrl}/openai`,
+        data: {
+          model,
+          modalities: ['text', 'audio'],
+          audio: { voice, format },
+          messages: [
+            { role: 'system', content: 'Read the user message aloud exactly as written.' },
+            { role: 'user', content: text }
+          ]
+        },
+        signal,
+        headers: { 'Content-Type': 'application/json' }
+      });
+
+      const audio = response.data?.choices?.[0]?.message?.audio;
+      if (!audio?.data) {
+        throw new Error('response contained no audio');
+      }
+      return {
+        success: true,
+        base64: audio.data,
+        contentType: SPEECH_FORMATS[format],
+        transcript: audio.transcript || null
+      };
+    } catch (error) {
+      logger.error('Speech generation failed', { error });
+      throw new Error(`Speech generation failed: ${error.message}`);
+    }
+  }
+
+  // Speech-to-text: the audio model is asked for JSON so the detected language comes back too
+  async transcribeAudio(base64, options = {}) {
+    try {
+      const { format = 'mp3', language, model = 'openai-audio', signal } = options;
+      logger.info('Transcribing audio', { model, format });
+
+      const instructions = [
+        'Transcribe the speech in this audio verbatim.',
+        language ? `The speech is in ${language}.` : null,
+        'Respond only with JSON of the form {"text": "<transcript>", "language": "<ISO 639-1 code>"}.'
+      ].filter(Boolean).join(' ');
+
+      const response = await this.request('text', {
+        method: 'post',
+        url: `${this.textBaseUrl}/openai`,
+        data: {
+          model,
+          messages: [{
+            role: 'user',
+            content: [
+              { type: 'text', text: instructions },
+              { type: 'input_audio', input_audio: { data: base64, format } }
+            ]
+          }],
+          response_format: { type: 'json_object' }
+        },
+        signal,
+        headers: { 'Content-Type': 'application/json' }
+      });
+
+      const content = response.data?.choices?.[0]?.message?.content ?? '';
+      // Fall back to the raw reply when the model ignores the JSON instruction
+      let parsed;
+      try {
+        parsed = JSON.parse(content);
+      } catch (error) {
+        parsed = { text: content };
+      }
+      return {
+        success: true,
+        text: String(parsed.text ?? ''),
+        language: parsed.language || language || null,
+        model: response.data?.model || model,
+        usage: response.data?.usage || null
+      };
+    } catch (error) {
+      logger.error('Transcription failed', { error });
+      throw new Error(`Transcription failed: ${error.message}`);
+    }
+  }
+
+  // Built-in model lists, used until (or whenever) the upstream catalogue can't be fetched
+  getAvailableModels() {
+    return {
+      image: ['flux', 'turbo', 'flux-realism', 'flux-cablyai', 'any-dark', { name: 'kontext', input_modalities: ['text', 'image'] }],
+      text: [{ name: 'openai', vision: true, input_modalities: ['text', 'image'] }, 'mistral', 'claude', 'llama', 'gemini']
+    };
+  }
+}
+
+const pollinations = new PollinationsClient();
+
+// How often the upstream model catalogues are re-fetched
+const MODEL_REFRESH_INTERVAL_MS = parseInt(process.env.MODEL_REFRESH_INTERVAL_MS, 10) || 60 * 60 * 1000;
+
+// Model catalogue fetched from Pollinations, falling back to the built-in lists when
+// offline. Emits 'change' when the set of model names changes.
+class ModelCatalog extends EventEmitter {
+  constructor(client) {
+    super();
+    this.client = client;
+    const fallback = client.getAvailableModels();
+    this.models = {
+      image: ModelCatalog.normalize(fallback.image),
+      text: ModelCatalog.normalize(fallback.text)
+    };
+    this.sources = { image: 'fallback', text: 'fallback' };
+    this.updatedAt = null;
+  }
+
+  // Upstream entries are either plain names or objects with a name plus metadata
+  static normalize(entries) {
+    return entries
+      .map(entry => (typeof entry === 'string' ? { name: entry } : { ...entry, name: entry.name || entry.id }))
+      .filter(entry => entry.name);
+  }
+
+  names(kind) {
+    return this.models[kind].map(model => model.name);
+  }
+
+  get(kind, name) {
+    return this.models[kind].find(model => model.name === name) || null;
+  }
+
+  // Whether a model accepts an input modality ('text', 'image', ...), from the upstream
+  // input_modalities metadata or the older vision flag
+  supportsInput(kind, name, modality) {
+    const model = this.get(kind, name);
+    if (!model) {
+      return false;
+    }
+    if (Array.isArray(model.input_modalities)) {
+      return model.input_modalities.includes(modality);
+    }
+    return modality === 'text' || (modality === 'image' && model.vision === true);
+  }
+
+  async refresh() {
+    const before = JSON.stringify({ image: this.names('image'), text: this.names('text') });
+
+    await Promise.all(['image', 'text'].map(async (kind) => {
+      try {
+        const models = ModelCatalog.normalize(await this.client.fetchModels(kind));
+        if (models.length > 0) {
+          this.models[kind] = models;
+          this.sources[kind] = 'upstream';
+        }
+      } catch (error) {
+        logger.warn('Could not refresh model catalogue', { kind, keeping: this.sources[kind], error });
+      }
+    }));
+    this.updatedAt = new Date().toISOString();
+
+    const after = JSON.stringify({ image: this.names('image'), text: this.names('text') });
+    if (before !== after) {
+      logger.info('Model catalogue changed', { imageModels: this.models.image.length, textModels: this.models.text.length });
+      this.emit('change');
+    }
+  }
+
+  toJSON() {
+    return {
+      image: this.models.image,
+      text: this.models.text,
+      sources: this.sources,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+const modelCatalog = new ModelCatalog(pollinations);
+
+// Cache keys are HMACs of the request under this secret, so nobody can derive an
+// /images/:hash or /audio/:hash URL from a prompt they know or guess. Without it, each
+// cache generates a secret and keeps it beside the cached files.
+const MEDIA_CACHE_SECRET = process.env.MEDIA_CACHE_SECRET;
+
+// Cache for generated images, stored on disk and served from /images/:hash
+const IMAGE_CACHE_DIR = process.env.IMAGE_CACHE_DIR || path.join(__dirname, 'data', 'images');
+const IMAGE_CACHE_MAX_BYTES = process.env.IMAGE_CACHE_MAX_BYTES !== undefined
+  ? parseInt(process.env.IMAGE_CACHE_MAX_BYTES, 10)
+  : 500 * 1024 * 1024;
+const IMAGE_CACHE_TTL_MS = parseInt(process.env.IMAGE_CACHE_TTL_MS, 10) || 7 * 24 * 60 * 60 * 1000;
+
+// Generated speech gets its own cache, served from /audio/:hash
+const AUDIO_CACHE_DIR = process.env.AUDIO_CACHE_DIR || path.join(__dirname, 'data', 'audio');
+const AUDIO_CACHE_MAX_BYTES = process.env.AUDIO_CACHE_MAX_BYTES !== undefined
+  ? parseInt(process.env.AUDIO_CACHE_MAX_BYTES, 10)
+  : 200 * 1024 * 1024;
+const AUDIO_CACHE_TTL_MS = parseInt(process.env.AUDIO_CACHE_TTL_MS, 10) || IMAGE_CACHE_TTL_MS;
+
+// Base URL used to build links to locally served assets; falls back to the request's host
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '');
+
+// Each entry is a data file named by its hash plus a <hash>.json metadata sidecar.
+// The index lives in memory in least-recently-used order; a maxBytes of 0 disables the cache.
+class MediaCache {
+  constructor({ dir, maxBytes, ttlMs, secret }) {
+    this.dir = dir;
+    this.maxBytes = maxBytes;
+    this.ttlMs = ttlMs;
+    this.secret = secret || null;
+    this.entries = new Map();
+    this.totalBytes = 0;
+    this.stats = { hits: 0, misses: 0, evictions: 0 };
+    this.ready = null;
+  }
+
+  get enabled() {
+    return this.maxBytes > 0;
+  }
+
+  // Keyed hash of the normalized request parameters, with keys sorted so order doesn't matter
+  async key(params) {
+    await this.init();
+    if (!this.secret) {
+      // A disabled or unusable cache keeps nothing across restarts, so neither does its secret
+      this.secret = crypto.randomBytes(32);
+    }
+    const normalized = Object.keys(params).sort().reduce((result, name) => {
+      result[name] = params[name] ?? null;
+      return result;
+    }, {});
+    return crypto.createHmac('sha256', this.secret).update(JSON.stringify(normalized)).digest('hex');
+  }
+
+  // Kept with the cached files so their keys stay valid across restarts
+  async loadSecret() {
+    const file = path.join(this.dir, '.secret');
+    try {
+      return await fs.promises.readFile(file);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+    const secret = crypto.randomBytes(32);
+    try {
+      await fs.promises.writeFile(file, secret, { mode: 0o600, flag: 'wx' });
+    } catch (error) {
+      // Another process sharing the directory wrote one first
+      if (error.code === 'EEXIST') {
+        return fs.promises.readFile(file);
+      }
+      throw error;
+    }
+    return secret;
+  }
+
+  static isValidHash(hash) {
+    return /^[a-f0-9]{64}$/.test(hash);
+  }
+
+  init() {
+    if (!this.ready) {
+      this.ready = this.loadIndex().catch((error) => {
+        logger.error('Media cache disabled; failed to load it', { dir: this.dir, error });
+        this.maxBytes = 0;
+      });
+    }
+    return this.ready;
+  }
+
+  async loadIndex() {
+    if (!this.enabled) {
+      return;
+    }
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    if (!this.secret) {
+      this.secret = await this.loadSecret();
+    }
+    const entries = [];
+    for (const file of await fs.promises.readdir(this.dir)) {
+      if (!file.endsWith('.json')) {
+        continue;
+      }
+      try {
+        entries.push(JSON.parse(await fs.promises.readFile(path.join(this.dir, file), 'utf8')));
+      } catch (error) {
+        logger.warn('Skipping unreadable cache metadata', { file, error });
+      }
+    }
+    entries.sort((a, b) => a.lastAccess - b.lastAccess);
+    for (const entry of entries) {
+      this.entries.set(entry.hash, entry);
+      this.totalBytes += entry.size;
+    }
+    await this.evict();
+    logger.info('Media cache loaded', { dir: this.dir, entries: this.entries.size, bytes: this.totalBytes });
+  }
+
+  filePath(hash) {
+    return path.join(this.dir, hash);
+  }
+
+  isExpired(entry) {
+    return Date.now() - entry.createdAt > this.ttlMs;
+  }
+
+  // Valid entry for a hash, refreshed as most recently used
+  async touch(hash) {
+    await this.init();
+    const entry = this.entries.get(hash);
+    if (!entry) {
+      return null;
+    }
+    if (this.isExpired(entry)) {
+      await this.remove(hash);
+      return null;
+    }
+    entry.lastAccess = Date.now();
+    this.entries.delete(hash);
+    this.entries.set(hash, entry);
+    return entry;
+  }
+
+  // Cache lookup for a generation request; counts hits and misses
+  async lookup(hash) {
+    if (!this.enabled) {
+      return null;
+    }
+    const entry = await this.touch(hash);
+    if (!entry) {
+      this.stats.misses++;
+      return null;
+    }
+    try {
+      const data = await fs.promises.readFile(this.filePath(hash));
+      this.stats.hits++;
+      return { ...entry, data };
+    } catch (error) {
+      // The file vanished underneath us; forget the entry
+      await this.remove(hash);
+      this.stats.misses++;
+      return null;
+    }
+  }
+
+  async put(hash, data, { contentType, sourceUrl }) {
+    if (!this.enabled || data.length > this.maxBytes) {
+      return null;
+    }
+    await this.init();
+    const now = Date.now();
+    const entry = { hash, contentType, sourceUrl, size: data.length, createdAt: now, lastAccess: now };
+
+    await fs.promises.writeFile(this.filePath(hash), data);
+    await fs.promises.writeFile(`${this.filePath(hash)}.json`, JSON.stringify(entry));
+
+    if (this.entries.has(hash)) {
+      this.totalBytes -= this.entries.get(hash).size;
+      this.entries.delete(hash);
+    }
+    this.entries.set(hash, entry);
+    this.totalBytes += entry.size;
+    await this.evict();
+    return entry;
+  }
+
+  async remove(hash) {
+    const entry = this.entries.get(hash);
+    if (!entry) {
+      return;
+    }
+    this.entries.delete(hash);
+    this.totalBytes -= entry.size;
+    await Promise.all([
+      fs.promises.rm(this.filePath(hash), { force: true }),
+      fs.promises.rm(`${this.filePath(hash)}.json`, { force: true })
+    ]);
+  }
+
+  // Drop expired entries, then least recently used ones until under the size limit
+  async evict() {
+    for (const [hash, entry] of this.entries) {
+      if (this.isExpired(entry)) {
+        await this.remove(hash);
+        this.stats.evictions++;
+      }
+    }
+    for (const hash of this.entries.keys()) {
+      if (this.totalBytes <= this.maxBytes) {
+        break;
+      }
+      await this.remove(hash);
+      this.stats.evictions++;
+    }
+  }
+
+  getStats() {
+    return {
+      enabled: this.enabled,
+      entries: this.entries.size,
+      bytes: this.totalBytes,
+      maxBytes: this.maxBytes,
+      ttlMs: this.ttlMs,
+      ...this.stats
+    };
+  }
+}
+
+const imageCache = new MediaCache({
+  dir: IMAGE_CACHE_DIR,
+  maxBytes: IMAGE_CACHE_MAX_BYTES,
+  ttlMs: IMAGE_CACHE_TTL_MS,
+  secret: MEDIA_CACHE_SECRET
+});
+
+const audioCache = new MediaCache({
+  dir: AUDIO_CACHE_DIR,
+  maxBytes: AUDIO_CACHE_MAX_BYTES,
+  ttlMs: AUDIO_CACHE_TTL_MS,
+  secret: MEDIA_CACHE_SECRET
+});
+
+setInterval(() => {
+  for (const cache of [imageCache, audioCache]) {
+    cache.evict().catch(error => logger.error('Media cache eviction failed', { dir: cache.dir, error }));
+  }
+}, 10 * 60 * 1000).unref();
+
+// Link to cached media served by this server, or null when there is no HTTP base URL (stdio)
+function localMediaUrl(route, hash, session) {
+  const baseUrl = PUBLIC_BASE_URL || session?.baseUrl;
+  return baseUrl ? `${baseUrl}/${route}/${hash}` : null;
+}
+
+function localImageUrl(hash, session) {
+  return localMediaUrl('images', hash, session);
+}
+
+function localAudioUrl(hash, session) {
+  return localMediaUrl('audio', hash, session);
+}
+
+// Generate an image, or reuse the cached bytes when the same request was made before
+async function generateImageCached(prompt, options, session) {
+  const { width = 1024, height = 1024, model = 'flux', seed, image } = options;
+  const hash = await imageCache.key({ kind: 'image', prompt: prompt.trim(), width, height, model, seed, ...(image && { image }) });
+
+  const cached = await imageCache.lookup(hash);
+  if (cached) {
+    logger.debug('Image cache hit', { hash });
+    return {
+      success: true,
+      base64: cached.data.toString('base64'),
+      url: cached.sourceUrl,
+      localUrl: localImageUrl(hash, session),
+      contentType: cached.contentType,
+      cached: true,
+      hash
+    };
+  }
+
+  const result = await pollinations.generateImage(prompt, options);
+  const stored = await imageCache.put(hash, Buffer.from(result.base64, 'base64'), {
+    contentType: result.contentType,
+    sourceUrl: result.url
+  }).catch((error) => {
+    logger.error('Failed to cache image', { error });
+    return null;
+  });
+
+  return {
+    ...result,
+    localUrl: stored ? localImageUrl(hash, session) : null,
+    cached: false,
+    hash: stored ? hash : null
+  };
+}
+
+// Synthesize speech, or reuse the cached audio when the same text, voice and format were requested before
+async function generateSpeechCached(text, options, session) {
+  const { voice = 'alloy', format = 'mp3', model = 'openai-audio' } = options;
+  const hash = await audioCache.key({ kind: 'speech', text, voice, format, model });
+
+  const cached = await audioCache.lookup(hash);
+  if (cached) {
+    logger.debug('Audio cache hit', { hash });
+    return {
+      success: true,
+      base64: cached.data.toString('base64'),
+      contentType: cached.contentType,
+      localUrl: localAudioUrl(hash, session),
+      cached: true,
+      hash
+    };
+  }
+
+  const result = await pollinations.generateSpeech(text, options);
+  const stored = await audioCache.put(hash, Buffer.from(result.base64, 'base64'), {
+    contentType: result.contentType,
+    sourceUrl: null
+  }).catch((error) => {
+    logger.error('Failed to cache audio', { error });
+    return null;
+  });
+
+  return {
+    ...result,
+    localUrl: stored ? localAudioUrl(hash, session) : null,
+    cached: false,
+    hash: stored ? hash : null
+  };
+}
+
+// Media supplied by callers (describe_image, generate_image references, transcribe_audio):
+// an http(s) URL, a data URL or bare base64. The type is checked from the bytes, not just
+// the declared MIME type. Base64 inflates by 4/3, so inline inputs are capped to what fits
+// in a JSON body.
+const MAX_INLINE_MEDIA_BYTES = Math.floor((JSON_BODY_LIMIT_BYTES - 64 * 1024) * 3 / 4);
+const MAX_INPUT_IMAGE_BYTES = Math.min(parseInt(process.env.MAX_INPUT_IMAGE_BYTES, 10) || 5 * 1024 * 1024, MAX_INLINE_MEDIA_BYTES);
+const MAX_INPUT_AUDIO_BYTES = Math.min(parseInt(process.env.MAX_INPUT_AUDIO_BYTES, 10) || MAX_INLINE_MEDIA_BYTES, MAX_INLINE_MEDIA_BYTES);
+
+const INPUT_IMAGE_SIGNATURES = {
+  'image/png': buffer => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  'image/jpeg': buffer => buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff,
+  'image/gif': buffer => ['GIF87a', 'GIF89a'].includes(buffer.subarray(0, 6).toString('ascii')),
+  'image/webp': buffer => buffer.subarray(0, 4).toString('ascii') === 'RIFF' && buffer.subarray(8, 12).toString('ascii') === 'WEBP'
+};
+
+// The formats Pollinations' audio model accepts as input
+const INPUT_AUDIO_SIGNATURES = {
+  'audio/wav': buffer => buffer.subarray(0, 4).toString('ascii') === 'RIFF' && buffer.subarray(8, 12).toString('ascii') === 'WAVE',
+  'audio/mpeg': buffer => buffer.subarray(0, 3).toString('ascii') === 'ID3' || (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0)
+};
+
+// Hosts media URLs may be fetched from. Unset, any host is allowed except private
+// networks; set, only these hosts, which are then trusted even on private networks.
+const MEDIA_ALLOWED_HOSTS = parseList(process.env.MEDIA_ALLOWED_HOSTS);
+
+// Image models that accept a reference image, in addition to any the catalogue marks
+// with an 'image' input modality
+const REFERENCE_IMAGE_MODELS = parseList(process.env.REFERENCE_IMAGE_MODELS || 'kontext,gptimage');
+
+const MIME_TYPE_ALIASES = {
+  'image/jpg': 'image/jpeg',
+  'audio/mp3': 'audio/mpeg',
+  'audio/x-wav': 'audio/wav',
+  'audio/wave': 'audio/wav'
+};
+
+function normalizeMimeType(value) {
+  const type = String(value || '').split(';')[0].trim().toLowerCase();
+  return MIME_TYPE_ALIASES[type] || type || null;
+}
+
+async function loadInputMedia(input, { label, signatures, maxBytes, mimeType, signal }) {
+  const types = Object.keys(signatures);
+  const maxMb = (maxBytes / 1024 / 1024).toFixed(1);
+  let buffer;
+  let declaredType;
+  let url = null;
+
+  if (/^https?:\/\//i.test(input)) {
+    url = input;
+    const { hostname } = new URL(input);
+    if (MEDIA_ALLOWED_HOSTS.length > 0 && !MEDIA_ALLOWED_HOSTS.includes(hostname)) {
+      throw new McpError(-32602, `${label} URL host ${hostname} is not allowed`);
+    }
+    if (MEDIA_ALLOWED_HOSTS.length === 0 && isPrivateHost(hostname)) {
+      throw new McpError(-32602, `${label} URL ${input} points at a private address`);
+    }
+
+    let response;
+    try {
+      response = await axios.get(input, {
+        responseType: 'arraybuffer',
+        timeout: 15000,
+        maxContentLength: maxBytes,
+        signal,
+        ...(MEDIA_ALLOWED_HOSTS.length === 0 ? PUBLIC_ONLY_REQUEST : { maxRedirects: 0 })
+      });
+    } catch (error) {
+      if (/maxContentLength/.test(error.message)) {
+        throw new McpError(-32602, `${label} at ${input} is larger than the ${maxMb} MB limit`);
+      }
+      if (error.code === 'EPRIVATEADDRESS') {
+        throw new McpError(-32602, `${label} URL ${input} points at a private address`);
+      }
+      if (error.response?.status >= 300 && error.response.status < 400) {
+        throw new McpError(-32602, `${label} URL ${input} redirects; pass the final URL instead`);
+      }
+      throw new Error(`Could not fetch ${label.toLowerCase()} ${input}: ${error.message}`);
+    }
+    buffer = Buffer.from(response.data);
+    declaredType = normalizeMimeType(response.headers['content-type']);
+  } else {
+    const dataUrl = /^data:([^;,]+);base64,/i.exec(input);
+    const encoded = (dataUrl ? input.slice(dataUrl[0].length) : input).replace(/\s/g, '');
+    if (!/^[A-Za-z0-9+/]+={0,2}$/.test(encoded)) {
+      throw new McpError(-32602, `${label} must be an http(s) URL, a data URL or base64-encoded bytes`);
+    }
+    // Check the encoded length first so oversized uploads are never decoded
+    if (Math.floor(encoded.length * 3 / 4) > maxBytes) {
+      throw new McpError(-32602, `${label} is larger than the ${maxMb} MB limit`);
+    }
+    buffer = Buffer.from(encoded, 'base64');
+    declaredType = normalizeMimeType(dataUrl ? dataUrl[1] : mimeType);
+  }
+
+  if (buffer.length > maxBytes) {
+    throw new McpError(-32602, `${label} is larger than the ${maxMb} MB limit`);
+  }
+  const detectedType = types.find(type => signatures[type](buffer));
+  if (!detectedType) {
+    throw new McpError(-32602, `Unsupported ${label.toLowerCase()} type${declaredType ? ` ${declaredType}` : ''}; expected one of ${types.join(', ')}`);
+  }
+  if (declaredType && declaredType !== 'application/octet-stream' && declaredType !== detectedType) {
+    throw new McpError(-32602, `${label} is declared as ${declaredType} but contains ${detectedType} data`);
+  }
+
+  return {
+    buffer,
+    mimeType: detectedType,
+    size: buffer.length,
+    url,
+    dataUrl: `data:${detectedType};base64,${buffer.toString('base64')}`
+  };
+}
+
+function loadInputImage(image, { mimeType, signal } = {}) {
+  return loadInputMedia(image, { label: 'Image', signatures: INPUT_IMAGE_SIGNATURES, maxBytes: MAX_INPUT_IMAGE_BYTES, mimeType, signal });
+}
+
+function loadInputAudio(audio, { mimeType, signal } = {}) {
+  return loadInputMedia(audio, { label: 'Audio', signatures: INPUT_AUDIO_SIGNATURES, maxBytes: MAX_INPUT_AUDIO_BYTES, mimeType, signal });
+}
+
+function supportsReferenceImage(model) {
+  return REFERENCE_IMAGE_MODELS.includes(model) || modelCatalog.supportsInput('image', model, 'image');
+}
+
+// Reference images have to be reachable by Pollinations: URLs are passed through, and
+// uploaded bytes are served from our image cache, which needs a public base URL
+async function resolveReferenceImage(image, model, signal) {
+  if (!supportsReferenceImage(model)) {
+    const supported = [...new Set([
+      ...REFERENCE_IMAGE_MODELS,
+      ...modelCatalog.names('image').filter(name => modelCatalog.supportsInput('image', name, 'image'))
+    ])];
+    throw new McpError(-32602, `Model '${model}' does not accept a reference image; use one of: ${supported.join(', ')}`);
+  }
+
+  const input = await loadInputImage(image, { signal });
+  if (input.url) {
+    return input.url;
+  }
+  if (!PUBLIC_BASE_URL || !imageCache.enabled) {
+    throw new McpError(-32602, 'Uploaded reference images need PUBLIC_BASE_URL and the image cache so Pollinations can fetch them; pass an image URL instead');
+  }
+
+  const hash = await imageCache.key({ kind: 'upload', sha256: crypto.createHash('sha256').update(input.buffer).digest('hex') });
+  await imageCache.put(hash, input.buffer, { contentType: input.mimeType, sourceUrl: null });
+  return localImageUrl(hash);
+}
+
+// Partial output is batched into progress notifications at most this often
+const PROGRESS_INTERVAL_MS = 250;
+
+// Build an onDelta callback that forwards streamed text as notifications/progress
+// tied to the request's progressToken. Returns null when the caller asked for no progress.
+function createTextProgressReporter(context) {
+  const { progressToken, notify } = context;
+  if (progressToken === undefined || !notify) {
+    return null;
+  }
+
+  let pending = '';
+  let timer = null;
+  let total = 0;
+
+  const flush = () => {
+    timer = null;
+    if (!pending) {
+      return;
+    }
+    notify({
+      jsonrpc: '2.0',
+      method: 'notifications/progress',
+      params: { progressToken, progress: total, message: pending }
+    });
+    pending = '';
+  };
+
+  const onDelta = (delta, content) => {
+    pending += delta;
+    total = content.length;
+    if (!timer) {
+      timer = setTimeout(flush, PROGRESS_INTERVAL_MS);
+    }
+  };
+  // Send whatever is still buffered before the final response goes out
+  onDelta.flush = () => {
+    clearTimeout(timer);
+    flush();
+  };
+  return onDelta;
+}
+
+// Conversation threads kept server-side so agents don't resend the whole transcript
+const CONVERSATION_STORAGE = process.env.CONVERSATION_STORAGE || 'memory';
+const CONVERSATION_FILE = process.env.CONVERSATION_FILE || path.join(__dirname, 'data', 'conversations.json');
+const CONVERSATION_DEFAULTS = {
+  maxMessages: parseInt(process.env.CONVERSATION_MAX_MESSAGES, 10) || 50,
+  maxTokens: parseInt(process.env.CONVERSATION_MAX_TOKENS, 10) || 8000,
+  ttlMs: parseInt(process.env.CONVERSATION_TTL_MS, 10) || 24 * 60 * 60 * 1000
+};
+
+// Record storage backends (conversations, jobs) share one interface: get, set, delete
+// and list, all async. Records are plain objects keyed by their id.
+class MemoryRecordStorage {
+  constructor() {
+    this.records = new Map();
+  }
+
+  async get(id) {
+    return this.records.get(id) || null;
+  }
+
+  async set(record) {
+    this.records.set(record.id, record);
+  }
+
+  async delete(id) {
+    return this.records.delete(id);
+  }
+
+  async list() {
+    return [...this.records.values()];
+  }
+}
+
+// Keeps every record in one JSON file, rewritten atomically on each change
+class FileRecordStorage extends MemoryRecordStorage {
+  constructor(filePath, label = 'records') {
+    super();
+    this.filePath = filePath;
+    this.label = label;
+    this.loading = null;
+    this.writing = Promise.resolve();
+  }
+
+  // Every caller waits for the same read, so nothing sees (or saves) a half-loaded map.
+  // A failed read is retried by the next call rather than treated as an empty file.
+  load() {
+    if (!this.loading) {
+      this.loading = this.read().catch((error) => {
+        this.loading = null;
+        throw error;
+      });
+    }
+    return this.loading;
+  }
+
+  async read() {
+    try {
+      const saved = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+      for (const record of saved) {
+        this.records.set(record.id, record);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to load ${this.label} from ${this.filePath}: ${error.message}`);
+      }
+    }
+  }
+
+  // Writes are chained so concurrent changes never interleave. A failed write rejects
+  // for its caller but doesn't break the chain for later ones.
+  persist() {
+    const write = this.writing.then(async () => {
+      const tmpPath = `${this.filePath}.tmp`;
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.promises.writeFile(tmpPath, JSON.stringify([...this.records.values()], null, 2));
+      await fs.promises.rename(tmpPath, this.filePath);
+    });
+    this.writing = write.catch(() => {});
+    return write;
+  }
+
+  async get(id) {
+    await this.load();
+    return super.get(id);
+  }
+
+  async set(record) {
+    await this.load();
+    await super.set(record);
+    await this.persist();
+  }
+
+  async delete(id) {
+    await this.load();
+    const deleted = await super.delete(id);
+    if (deleted) {
+      await this.persist();
+    }
+    return deleted;
+  }
+
+  async list() {
+    await this.load();
+    return super.list();
+  }
+}
+
+// Rough token estimate (~4 characters per token), good enough for history budgets
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+class ConversationStore {
+  constructor(storage, defaults) {
+    this.storage = storage;
+    this.defaults = defaults;
+  }
+
+  async create({ title, systemPrompt, model, maxMessages, maxTokens, ttlMs, owner }) {
+    const now = Date.now();
+    const settings = {
+      maxMessages: maxMessages || this.defaults.maxMessages,
+      maxTokens: maxTokens || this.defaults.maxTokens,
+      ttlMs: ttlMs || this.defaults.ttlMs
+    };
+    const conversation = {
+      id: `conv-${crypto.randomUUID()}`,
+      title: title || null,
+      model: model || 'openai',
+      owner: owner || null,
+      settings,
+      messages: systemPrompt ? [{ role: 'system', content: systemPrompt, timestamp: new Date(now).toISOString() }] : [],
+      createdAt: new Date(now).toISOString(),
+      updatedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + settings.ttlMs).toISOString()
+    };
+    await this.storage.set(conversation);
+    return conversation;
+  }
+
+  // Expired threads and threads owned by another API key are treated as missing
+  async get(id, owner) {
+    const conversation = await this.storage.get(id);
+    if (!conversation) {
+      return null;
+    }
+    if (Date.parse(conversation.expiresAt) <= Date.now()) {
+      await this.storage.delete(id);
+      return null;
+    }
+    if ((conversation.owner || null) !== (owner || null)) {
+      return null;
+    }
+    return conversation;
+  }
+
+  async append(conversation, messages) {
+    const now = Date.now();
+    for (const { role, content } of messages) {
+      conversation.messages.push({ role, content, timestamp: new Date(now).toISOString() });
+    }
+    conversation.messages = this.truncate(conversation.messages, conversation.settings);
+    conversation.updatedAt = new Date(now).toISOString();
+    conversation.expiresAt = new Date(now + conversation.settings.ttlMs).toISOString();
+    await this.storage.set(conversation);
+    return conversation;
+  }
+
+  // Keep system messages, then as many of the newest messages as fit both the
+  // message count and the estimated token budget
+  truncate(messages, { maxMessages, maxTokens }) {
+    const system = messages.filter(message => message.role === 'system');
+    const rest = messages.filter(message => message.role !== 'system');
+
+    let tokens = system.reduce((total, message) => total + estimateTokens(message.content), 0);
+    const kept = [];
+    for (let i = rest.length - 1; i >= 0; i--) {
+      tokens += estimateTokens(rest[i].content);
+      // Always keep the newest message, even if it alone exceeds either limit
+      if (kept.length > 0 && (kept.length + system.length >= maxMessages || tokens > maxTokens)) {
+        break;
+      }
+      kept.unshift(rest[i]);
+    }
+    return [...system, ...kept];
+  }
+
+  async list(owner) {
+    const conversations = await this.storage.list();
+    const now = Date.now();
+    return conversations.filter(conversation =>
+      Date.parse(conversation.expiresAt) > now && (conversation.owner || null) === (owner || null)
+    );
+  }
+
+  async delete(id, owner) {
+    const conversation = await this.get(id, owner);
+    if (!conversation) {
+      return false;
+    }
+    return this.storage.delete(id);
+  }
+
+  async deleteExpired() {
+    const now = Date.now();
+    for (const conversation of await this.storage.list()) {
+      if (Date.parse(conversation.expiresAt) <= now) {
+        await this.storage.delete(conversation.id);
+      }
+    }
+  }
+}
+
+const conversations = new ConversationStore(
+  CONVERSATION_STORAGE === 'file' ? new FileRecordStorage(CONVERSATION_FILE, 'conversations') : new MemoryRecordStorage(),
+  CONVERSATION_DEFAULTS
+);
+
+setInterval(() => {
+  conversations.deleteExpired().catch(error => logger.error('Conversation cleanup failed', { error }));
+}, 60000).unref();
+
+// Summary used by conversation_list so large transcripts stay out of listings
+function summarizeConversation(conversation) {
+  return {
+    id: conversation.id,
+    title: conversation.title,
+    model: conversation.model,
+    messageCount: conversation.messages.length,
+    createdAt: conversation.createdAt,
+    updatedAt: conversation.updatedAt,
+    expiresAt: conversation.expiresAt
+  };
+}
+
+// Tool registry. Each tool is a module exporting { name, scope, description, inputSchema,
+// outputSchema?, handler(args, context), formatContent?(toolResult, args), cost?(args),
+// history?(toolResult, args), timeoutMs?, modelInput?, moderatedFields? }; the handler returns
+// { result, metadata }, cost is the rate-limit units a call uses, history lists the assets to
+// record as resources, modelInput limits the advertised models to those accepting that input and
+// moderatedFields names the arguments the moderation policy checks. Built-in tools live in
+// tools/, extra tools can come from TOOLS_DIR or installed packages listed in TOOL_PACKAGES.
+const TOOLS_DIR = process.env.TOOLS_DIR;
+const TOOL_PACKAGES = parseList(process.env.TOOL_PACKAGES);
+const ENABLED_TOOLS = parseList(process.env.ENABLED_TOOLS);
+const DISABLED_TOOLS = parseList(process.env.DISABLED_TOOLS);
+
+// Overall deadline per tool call, retries included. TOOL_TIMEOUTS ({"generate_image": 60000})
+// overrides individual tools, then a tool's own timeoutMs, then TOOL_TIMEOUT_MS.
+const TOOL_TIMEOUT_MS = parseInt(process.env.TOOL_TIMEOUT_MS, 10) || 120000;
+const TOOL_TIMEOUTS = parseToolTimeouts(process.env.TOOL_TIMEOUTS);
+
+function parseToolTimeouts(value) {
+  if (!value) {
+    return {};
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`TOOL_TIMEOUTS must be a JSON object of tool name to milliseconds: ${error.message}`);
+  }
+}
+
+function parseList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// URLs supplied by callers must not let them reach into the server's own network:
+// loopback, private, link-local (cloud metadata endpoints) and other reserved ranges
+const PRIVATE_NETWORKS = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  PRIVATE_NETWORKS.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  PRIVATE_NETWORKS.addSubnet(network, prefix, 'ipv6');
+}
+
+function isPrivateAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) {
+    return PRIVATE_NETWORKS.check(mapped[1], 'ipv4');
+  }
+  const family = net.isIP(address);
+  return family === 0 || PRIVATE_NETWORKS.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// dns.lookup for outbound agents that refuses private addresses. The check runs on the
+// addresses actually connected to, so a hostname can't be re-pointed after validation.
+function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+      const blocked = new Error(`${hostname} resolves to a private address`);
+      blocked.code = 'EPRIVATEADDRESS';
+      return callback(blocked);
+    }
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// axios options for requests to caller-supplied URLs. Redirects are not followed, since
+// they would lead past the host checks.
+const PUBLIC_ONLY_REQUEST = {
+  httpAgent: new http.Agent({ lookup: publicOnlyLookup }),
+  httpsAgent: new https.Agent({ lookup: publicOnlyLookup }),
+  maxRedirects: 0
+};
+
+// Literal IPs skip the lookup, so they are checked up front
+function isPrivateHost(hostname) {
+  const address = hostname.replace(/^\[(.*)\]$/, '$1');
+  return net.isIP(address) !== 0 && isPrivateAddress(address);
+}
+
+// Validator for tool arguments: fills in schema defaults and coerces "512" to 512,
+// so handlers can rely on the shape their inputSchema declares
+const argumentAjv = new Ajv({ allErrors: true, coerceTypes: true, useDefaults: true, strict: false });
+addFormats(argumentAjv);
+
+// One entry per offending field, e.g. { field: 'width', message: 'must be <= 2048' }
+function formatArgumentErrors(errors) {
+  return errors.map((error) => {
+    const pointer = error.keyword === 'required'
+      ? `${error.instancePath}/${error.params.missingProperty}`
+      : error.instancePath;
+    return {
+      field: pointer.slice(1).replace(/\//g, '.') || '(arguments)',
+      message: error.message,
+      keyword: error.keyword,
+      params: error.params
+    };
+  });
+}
+
+class ToolRegistry {
+  constructor({ enabled = [], disabled = [] } = {}) {
+    this.tools = new Map();
+    this.enabled = new Set(enabled);
+    this.disabled = new Set(disabled);
+  }
+
+  // Deployment config decides which registered tools are exposed; an empty
+  // allow-list means everything not explicitly disabled
+  isEnabled(name) {
+    if (this.disabled.has(name)) {
+      return false;
+    }
+    return this.enabled.size === 0 || this.enabled.has(name);
+  }
+
+  register(tool, source = 'inline') {
+    if (!tool || typeof tool.name !== 'string' || !tool.name) {
+      throw new Error(`Tool from ${source} has no name`);
+    }
+    if (tool.timeoutMs !== undefined && !(tool.timeoutMs > 0)) {
+      throw new Error(`Tool '${tool.name}' from ${source} has an invalid timeoutMs`);
+    }
+    if (typeof tool.handler !== 'function') {
+      throw new Error(`Tool '${tool.name}' from ${source} has no handler`);
+    }
+    if (tool.cost !== undefined && typeof tool.cost !== 'function') {
+      throw new Error(`Tool '${tool.name}' from ${source} has a cost that is not a function`);
+    }
+    if (tool.history !== undefined && typeof tool.history !== 'function') {
+      throw new Error(`Tool '${tool.name}' from ${source} has a history that is not a function`);
+    }
+    if (tool.validate !== undefined && typeof tool.validate !== 'function') {
+      throw new Error(`Tool '${tool.name}' from ${source} has a validate that is not a function`);
+    }
+    if (tool.moderatedFields !== undefined && !(Array.isArray(tool.moderatedFields) && tool.moderatedFields.every(field => typeof field === 'string'))) {
+      throw new Error(`Tool '${tool.name}' from ${source} has moderatedFields that are not a list of argument paths`);
+    }
+    if (!tool.inputSchema || tool.inputSchema.type !== 'object') {
+      throw new Error(`Tool '${tool.name}' from ${source} needs an object inputSchema`);
+    }
+    if (this.tools.has(tool.name)) {
+      throw new Error(`Tool '${tool.name}' from ${source} is already registered from ${this.tools.get(tool.name).source}`);
+    }
+
+    // Compile up front so a broken schema fails at startup rather than on first call
+    let validateArguments;
+    try {
+      validateArguments = argumentAjv.compile(tool.inputSchema);
+    } catch (error) {
+      throw new Error(`Tool '${tool.name}' from ${source} has an invalid inputSchema: ${error.message}`);
+    }
+
+    this.tools.set(tool.name, { scope: tool.name, ...tool, source, validateArguments });
+    return this;
+  }
+
+  // Validate (and normalise in place) a tools/call argument object. Model names are
+  // checked against the static schema, not the catalogue enum, so a stale catalogue
+  // never blocks a model Pollinations accepts.
+  validateArguments(name, args) {
+    const tool = this.get(name);
+    if (!tool) {
+      throw new McpError(-32602, `Unknown tool: ${name}`);
+    }
+    if (!args || typeof args !== 'object' || Array.isArray(args)) {
+      throw new McpError(-32602, `Invalid params: arguments for '${name}' must be an object`);
+    }
+    if (!tool.validateArguments(args)) {
+      const errors = formatArgumentErrors(tool.validateArguments.errors);
+      throw new McpError(
+        -32602,
+        `Invalid params for '${name}': ${errors.map(error => `${error.field} ${error.message}`).join('; ')}`,
+        { errors }
+      );
+    }
+    // Checks a schema can't express (a tool's validate returns a message when the arguments are invalid)
+    const problem = tool.validate?.(args);
+    if (problem) {
+      throw new McpError(-32602, `Invalid params for '${name}': ${problem}`);
+    }
+    return args;
+  }
+
+  // A module may export a single tool or an array of tools
+  registerModule(exported, source) {
+    for (const tool of [].concat(exported)) {
+      this.register(tool, source);
+    }
+  }
+
+  loadDirectory(dir) {
+    const files = fs.readdirSync(dir).filter(file => file.endsWith('.js')).sort();
+    for (const file of files) {
+      this.registerModule(require(path.join(dir, file)), path.join(dir, file));
+    }
+    return files.length;
+  }
+
+  loadPackage(name) {
+    // Resolve from the working directory so deployments can install tool packages next to their config
+    const resolved = require.resolve(name, { paths: [process.cwd(), __dirname] });
+    this.registerModule(require(resolved), name);
+  }
+
+  get(name) {
+    const tool = this.tools.get(name);
+    return tool && this.isEnabled(name) ? tool : undefined;
+  }
+
+  list() {
+    return [...this.tools.values()].filter(tool => this.isEnabled(tool.name));
+  }
+
+  names() {
+    return this.list().map(tool => tool.name);
+  }
+}
+
+const toolRegistry = new ToolRegistry({ enabled: ENABLED_TOOLS, disabled: DISABLED_TOOLS });
+toolRegistry.loadDirectory(path.join(__dirname, 'tools'));
+if (TOOLS_DIR) {
+  toolRegistry.loadDirectory(path.resolve(TOOLS_DIR));
+}
+for (const name of TOOL_PACKAGES) {
+  toolRegistry.loadPackage(name);
+}
+
+// Prompt templates: reusable, parameterized prompts loaded from YAML or JSON files in prompts/
+// (and PROMPTS_DIR), served through prompts/list and prompts/get. Tools that declare a
+// render_prompt argument can be called with a template name plus arguments instead of a prompt.
+const PROMPTS_DIR = process.env.PROMPTS_DIR;
+const PROMPT_FILE_EXTENSIONS = ['.yaml', '.yml', '.json'];
+
+const PROMPT_NAME_PATTERN = '^[a-zA-Z0-9][a-zA-Z0-9_-]*$';
+const promptTemplateSchema = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', pattern: PROMPT_NAME_PATTERN },
+    title: { type: 'string' },
+    description: { type: 'string' },
+    tool: { type: 'string' },
+    model: { type: 'string' },
+    parameters: { type: 'object' },
+    arguments: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', pattern: PROMPT_NAME_PATTERN },
+          description: { type: 'string' },
+          required: { type: 'boolean' },
+          default: { type: ['string', 'number', 'boolean'] }
+        },
+        required: ['name'],
+        additionalProperties: false
+      }
+    },
+    template: { type: 'string', minLength: 1 }
+  },
+  required: ['name', 'template'],
+  additionalProperties: false
+};
+const validatePromptTemplate = argumentAjv.compile(promptTemplateSchema);
+
+// {{argument}} placeholders, with optional inner whitespace
+const PROMPT_PLACEHOLDER = /\{\{\s*([a-zA-Z0-9_-]+)\s*\}\}/g;
+
+class PromptLibrary {
+  constructor() {
+    this.templates = new Map();
+  }
+
+  register(template, source = 'inline') {
+    if (!validatePromptTemplate(template)) {
+      const errors = formatArgumentErrors(validatePromptTemplate.errors);
+      throw new Error(`Prompt template from ${source} is invalid: ${errors.map(error => `${error.field} ${error.message}`).join('; ')}`);
+    }
+    if (this.templates.has(template.name)) {
+      throw new Error(`Prompt '${template.name}' from ${source} is already registered from ${this.templates.get(template.name).source}`);
+    }
+
+    // Catch typos in placeholders at startup rather than rendering them literally
+    const declared = new Set((template.arguments || []).map(argument => argument.name));
+    for (const [, name] of template.template.matchAll(PROMPT_PLACEHOLDER)) {
+      if (!declared.has(name)) {
+        throw new Error(`Prompt '${template.name}' from ${source} uses undeclared argument '${name}'`);
+      }
+    }
+
+    this.templates.set(template.name, { arguments: [], parameters: {}, ...template, source });
+    return this;
+  }
+
+  // A file may hold one template or a list of them
+  loadDirectory(dir) {
+    if (!fs.existsSync(dir)) {
+      return 0;
+    }
+    const files = fs.readdirSync(dir).filter(file => PROMPT_FILE_EXTENSIONS.includes(path.extname(file))).sort();
+    for (const file of files) {
+      const filePath = path.join(dir, file);
+      const text = fs.readFileSync(filePath, 'utf8');
+      let parsed;
+      try {
+        parsed = path.extname(file) === '.json' ? JSON.parse(text) : YAML.parse(text);
+      } catch (error) {
+        throw new Error(`Failed to parse prompt templates in ${filePath}: ${error.message}`);
+      }
+      for (const template of [].concat(parsed)) {
+        this.register(template, filePath);
+      }
+    }
+    return files.length;
+  }
+
+  get(name) {
+    return this.templates.get(name);
+  }
+
+  list() {
+    return [...this.templates.values()];
+  }
+
+  // Fills in the template; arguments are strings as in prompts/get, missing optional
+  // arguments become their default or an empty string
+  render(template, args = {}) {
+    const values = {};
+    const missing = [];
+    for (const argument of template.arguments) {
+      if (args[argument.name] !== undefined && args[argument.name] !== '') {
+        values[argument.name] = String(args[argument.name]);
+      } else if (argument.default !== undefined) {
+        values[argument.name] = String(argument.default);
+      } else if (argument.required) {
+        missing.push(argument.name);
+      } else {
+        values[argument.name] = '';
+      }
+    }
+    if (missing.length > 0) {
+      throw new McpError(-32602, `Prompt '${template.name}' is missing required argument(s): ${missing.join(', ')}`, { missing });
+    }
+    return template.template.replace(PROMPT_PLACEHOLDER, (match, name) => values[name]).trim();
+  }
+
+  // Replaces render_prompt in a tool call's arguments with the rendered prompt. The
+  // template's model and parameters act as defaults; arguments passed explicitly win.
+  expand(toolName, args) {
+    const tool = toolRegistry.get(toolName);
+    if (!tool?.inputSchema.properties?.render_prompt || !args || typeof args !== 'object' || args.render_prompt === undefined) {
+      return args;
+    }
+    const { render_prompt: request, ...rest } = args;
+    if (!request || typeof request !== 'object' || typeof request.name !== 'string') {
+      throw new McpError(-32602, `Invalid params for '${toolName}': render_prompt must be an object with a template name`);
+    }
+    if (rest.prompt !== undefined) {
+      throw new McpError(-32602, `Invalid params for '${toolName}': pass either prompt or render_prompt, not both`);
+    }
+
+    const template = this.get(request.name);
+    if (!template) {
+      throw new McpError(-32602, `Unknown prompt: ${request.name}`);
+    }
+    if (template.tool && template.tool !== toolName) {
+      throw new McpError(-32602, `Prompt '${template.name}' is a template for ${template.tool}, not ${toolName}`);
+    }
+
+    return {
+      ...template.parameters,
+      ...(template.model && { model: template.model }),
+      ...rest,
+      prompt: this.render(template, request.arguments || {}),
+      render_prompt: request
+    };
+  }
+}
+
+const prompts = new PromptLibrary();
+prompts.loadDirectory(path.join(__dirname, 'prompts'));
+if (PROMPTS_DIR) {
+  prompts.loadDirectory(path.resolve(PROMPTS_DIR));
+}
+
+// Templates aimed at a tool are only offered to keys that may call that tool
+function isPromptAllowed(auth, template) {
+  return !template.tool || isToolAllowed(auth, template.tool);
+}
+
+// The prompts/list shape of a template
+function describePrompt(template) {
+  return {
+    name: template.name,
+    ...(template.title && { title: template.title }),
+    ...(template.description && { description: template.description }),
+    arguments: template.arguments.map(argument => ({
+      name: argument.name,
+      ...(argument.description && { description: argument.description }),
+      required: Boolean(argument.required && argument.default === undefined)
+    }))
+  };
+}
+
+// Content moderation in front of tool calls. A policy combines a maximum length, a term
+// blocklist, regex rules and PII detectors (emails, phone numbers, card numbers); each rule
+// blocks the call, redacts the match or only warns. Tools list the argument paths to check
+// in moderatedFields. The deployment policy comes from MODERATION_FILE (or the MODERATION_*
+// shortcuts) and may be overridden per API key name.
+const MODERATION_FILE = process.env.MODERATION_FILE;
+const MODERATION_ACTIONS = ['block', 'redact', 'warn'];
+
+// Detectors for likely PII. Card numbers must pass the Luhn check, and digit runs are
+// only reported as phone numbers when they aren't card numbers. Emails only start where a
+// run of address characters starts, so a long run without an "@" is scanned once rather
+// than from every position in it.
+const PII_DETECTORS = {
+  email: {
+    pattern: /(?<![A-Z0-9._%+-])[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi,
+    matches: () => true
+  },
+  card: {
+    pattern: /(?<![\d-])\d(?:[ -]?\d){12,18}(?![\d-])/g,
+    matches: text => passesLuhn(text.replace(/\D/g, ''))
+  },
+  phone: {
+    pattern: /(?<![\w+])\+?\(?\d[\d ().-]{7,}\d(?!\w)/g,
+    matches: (text) => {
+      const digits = text.replace(/\D/g, '');
+      return digits.length >= 9 && digits.length <= 15 && !(digits.length >= 13 && passesLuhn(digits));
+    }
+  }
+};
+
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+const moderationPolicySchema = {
+  type: 'object',
+  properties: {
+    maxLength: { type: 'integer', minimum: 1 },
+    blocklist: {
+      type: 'object',
+      properties: {
+        terms: { type: 'array', items: { type: 'string', minLength: 1 } },
+        action: { enum: MODERATION_ACTIONS }
+      },
+      required: ['terms'],
+      additionalProperties: false
+    },
+    patterns: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          pattern: { type: 'string', minLength: 1 },
+          flags: { type: 'string', pattern: '^[imsu]*$' },
+          action: { enum: MODERATION_ACTIONS }
+        },
+        required: ['name', 'pattern'],
+        additionalProperties: false
+      }
+    },
+    pii: {
+      type: 'object',
+      properties: Object.fromEntries(Object.keys(PII_DETECTORS).map(type => [type, { enum: [...MODERATION_ACTIONS, 'off'] }])),
+      additionalProperties: false
+    }
+  },
+  additionalProperties: false
+};
+const validateModerationPolicy = argumentAjv.compile(moderationPolicySchema);
+
+// A compiled policy. check() returns the decisions and the (possibly redacted) text.
+class ModerationPolicy {
+  constructor(config, source) {
+    if (!validateModerationPolicy(config)) {
+      const errors = formatArgumentErrors(validateModerationPolicy.errors);
+      throw new Error(`Moderation policy ${source} is invalid: ${errors.map(error => `${error.field} ${error.message}`).join('; ')}`);
+    }
+    this.maxLength = config.maxLength || null;
+    this.rules = [];
+
+    if (config.blocklist && config.blocklist.terms.length > 0) {
+      // Whole words only, so a blocked "ass" doesn't block "class"
+      const alternatives = config.blocklist.terms.map(term => escapeRegExp(term.trim())).join('|');
+      this.rules.push({
+        rule: 'blocklist',
+        action: config.blocklist.action || 'block',
+        pattern: new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives})(?![\\p{L}\\p{N}])`, 'giu'),
+        matches: () => true,
+        reportMatch: true
+      });
+    }
+
+    for (const { name, pattern, flags = '', action = 'block' } of config.patterns || []) {
+      let regex;
+      try {
+        regex = new RegExp(pattern, `${flags}g`);
+      } catch (error) {
+        throw new Error(`Moderation policy ${source} has an invalid pattern '${name}': ${error.message}`);
+      }
+      this.rules.push({ rule: `pattern:${name}`, action, pattern: regex, matches: () => true });
+    }
+
+    for (const [type, detector] of Object.entries(PII_DETECTORS)) {
+      const action = config.pii?.[type];
+      if (action && action !== 'off') {
+        this.rules.push({ rule: `pii:${type}`, action, ...detector, redaction: `[REDACTED:${type}]` });
+      }
+    }
+  }
+
+  get enabled() {
+    return Boolean(this.maxLength) || this.rules.length > 0;
+  }
+
+  // Matched PII never leaves this function; only blocklist terms are reported back.
+  // Oversized text is blocked before any rule runs over it.
+  check(text, field) {
+    if (this.maxLength && text.length > this.maxLength) {
+      return { decisions: [{ rule: 'maxLength', action: 'block', field, length: text.length, limit: this.maxLength }], text };
+    }
+
+    const decisions = [];
+    let output = text;
+    for (const rule of this.rules) {
+      let count = 0;
+      const terms = new Set();
+      output = output.replace(rule.pattern, (match) => {
+        if (!rule.matches(match)) {
+          return match;
+        }
+        count++;
+        if (rule.reportMatch) {
+          terms.add(match.toLowerCase());
+        }
+        return rule.action === 'redact' ? (rule.redaction || '[REDACTED]') : match;
+      });
+      if (count > 0) {
+        decisions.push({ rule: rule.rule, action: rule.action, field, matches: count, ...(rule.reportMatch && { terms: [...terms] }) });
+      }
+    }
+    return { decisions, text: output };
+  }
+}
+
+// Policy file: { "default": policy, "keys": { "<API key name>": policy } }. A key's policy
+// replaces the default setting by setting (maxLength, blocklist, patterns, pii), and
+// { "keys": { "<name>": null } } exempts a key. The MODERATION_* variables fill in the
+// default when no file sets it.
+function loadModerationPolicies() {
+  const envDefault = {};
+  if (process.env.MODERATION_MAX_PROMPT_LENGTH) {
+    envDefault.maxLength = parseInt(process.env.MODERATION_MAX_PROMPT_LENGTH, 10);
+  }
+  if (process.env.MODERATION_BLOCKLIST) {
+    envDefault.blocklist = {
+      terms: parseList(process.env.MODERATION_BLOCKLIST),
+      action: process.env.MODERATION_BLOCKLIST_ACTION || 'block'
+    };
+  }
+  if (process.env.MODERATION_PII_ACTION) {
+    envDefault.pii = Object.fromEntries(Object.keys(PII_DETECTORS).map(type => [type, process.env.MODERATION_PII_ACTION]));
+  }
+
+  let file = {};
+  if (MODERATION_FILE) {
+    const text = fs.readFileSync(MODERATION_FILE, 'utf8');
+    file = /\.ya?ml$/i.test(MODERATION_FILE) ? YAML.parse(text) : JSON.parse(text);
+  }
+
+  const defaults = { ...envDefault, ...(file.default || {}) };
+  const keys = new Map();
+  for (const [name, policy] of Object.entries(file.keys || {})) {
+    keys.set(name, policy === null ? null : new ModerationPolicy({ ...defaults, ...policy }, `for key '${name}'`));
+  }
+  return { defaultPolicy: new ModerationPolicy(defaults, 'default'), keys };
+}
+
+const moderationPolicies = loadModerationPolicies();
+
+function moderationPolicyFor(auth) {
+  if (auth && moderationPolicies.keys.has(auth.name)) {
+    return moderationPolicies.keys.get(auth.name);
+  }
+  return moderationPolicies.defaultPolicy;
+}
+
+// Expands a moderatedFields path such as "messages.*.content" into the string values it
+// names, each with a setter so redactions can be written back
+function collectModeratedFields(value, segments, prefix = []) {
+  if (segments.length === 0) {
+    return [];
+  }
+  const [segment, ...rest] = segments;
+  const keys = segment === '*'
+    ? (Array.isArray(value) ? value.map((item, index) => index) : [])
+    : [segment];
+
+  const fields = [];
+  for (const key of keys) {
+    if (!value || typeof value !== 'object' || value[key] === undefined) {
+      continue;
+    }
+    const fieldPath = [...prefix, key];
+    if (rest.length > 0) {
+      fields.push(...collectModeratedFields(value[key], rest, fieldPath));
+    } else if (typeof value[key] === 'string') {
+      fields.push({ path: fieldPath.join('.'), value: value[key], set: (text) => { value[key] = text; } });
+    }
+  }
+  return fields;
+}
+
+// Checks a tool call's arguments against the caller's policy. Blocking decisions throw
+// -32007 with every decision in the error data; otherwise returns the arguments to use
+// (redacted copies where needed) and the moderation summary for the result metadata.
+function moderateToolArguments(tool, args, session) {
+  const policy = moderationPolicyFor(session?.auth);
+  if (!policy || !policy.enabled || !tool.moderatedFields) {
+    return { args, moderation: null };
+  }
+
+  const moderated = structuredClone(args);
+  const decisions = [];
+  for (const fieldPath of tool.moderatedFields) {
+    for (const field of collectModeratedFields(moderated, fieldPath.split('.'))) {
+      const result = policy.check(field.value, field.path);
+      decisions.push(...result.decisions);
+      if (result.text !== field.value) {
+        field.set(result.text);
+      }
+    }
+  }
+
+  const outcome = decisions.some(decision => decision.action === 'block') ? 'blocked'
+    : decisions.some(decision => decision.action === 'redact') ? 'redacted'
+      : decisions.length > 0 ? 'warned' : 'allowed';
+  const moderation = { outcome, decisions };
+
+  if (decisions.length > 0) {
+    logger.warn('Moderation decision', { tool: tool.name, apiKey: session?.auth?.name || null, outcome, decisions });
+  }
+  if (outcome === 'blocked') {
+    const reasons = [...new Set(decisions.filter(decision => decision.action === 'block').map(decision => decision.rule))];
+    throw new McpError(-32007, `Blocked by content policy: ${reasons.join(', ')}`, { moderation });
+  }
+  return { args: outcome === 'redacted' ? moderated : args, moderation };
+}
+
+// Argument checks shared by tools/call and job submission: expand any prompt template,
+// validate against the tool's inputSchema, then apply the caller's moderation policy.
+// Returns the arguments to call the tool with and the moderation summary, if any.
+function prepareToolArguments(toolName, args, session) {
+  const validated = toolRegistry.validateArguments(toolName, prompts.expand(toolName, args ?? {}));
+  return moderateToolArguments(toolRegistry.get(toolName), validated, session);
+}
+
+// Asynchronous jobs: a tool call that runs in the background and is polled by ID or
+// reported to a webhook, for clients that time out before a slow generation finishes
+const JOB_STORAGE = process.env.JOB_STORAGE || 'memory';
+const JOB_FILE = process.env.JOB_FILE || path.join(__dirname, 'data', 'jobs.json');
+const JOB_TTL_MS = parseInt(process.env.JOB_TTL_MS, 10) || 24 * 60 * 60 * 1000;
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY, 10) || 2;
+const JOB_MAX_QUEUED = parseInt(process.env.JOB_MAX_QUEUED, 10) || 100;
+const JOB_MAX_QUEUED_PER_OWNER = parseInt(process.env.JOB_MAX_QUEUED_PER_OWNER, 10) || 20;
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || '';
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5;
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+const WEBHOOK_RETRY_DELAY_MS = 1000;
+const WEBHOOK_ALLOWED_HOSTS = parseList(process.env.WEBHOOK_ALLOWED_HOSTS);
+
+const JOB_STATES = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+const FINISHED_JOB_STATES = new Set([JOB_STATES.SUCCEEDED, JOB_STATES.FAILED, JOB_STATES.CANCELLED]);
+
+// Webhooks must be http(s) and point at one of WEBHOOK_ALLOWED_HOSTS when it is set,
+// otherwise at a public address
+function validateWebhookUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw new McpError(-32602, `Invalid webhook URL: ${value}`);
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new McpError(-32602, 'Invalid webhook URL: only http and https are supported');
+  }
+  if (WEBHOOK_ALLOWED_HOSTS.length > 0 && !WEBHOOK_ALLOWED_HOSTS.includes(url.hostname)) {
+    throw new McpError(-32602, `Invalid webhook URL: host ${url.hostname} is not allowed`);
+  }
+  if (WEBHOOK_ALLOWED_HOSTS.length === 0 && isPrivateHost(url.hostname)) {
+    throw new McpError(-32602, `Invalid webhook URL: ${url.hostname} is a private address`);
+  }
+  return url.toString();
+}
 
-// Store active connections
-const activeConnections = new Map();
+// Image bytes stay in the media cache; stored jobs keep only the links
+function withoutInlineMedia(toolResult) {
+  if (typeof toolResult.result?.base64 !== 'string') {
+    return toolResult;
+  }
+  const { base64, ...result } = toolResult.result;
+  return { ...toolResult, result };
+}
 
-// Pollinations API client
-class PollinationsClient {
-  constructor() {
-    this.imageBaseUrl = 'https://image.pollinations.ai/prompt';
-    this.textBaseUrl = 'https://text.pollinations.ai';
+class JobManager {
+  constructor(storage, { concurrency, maxQueued, maxQueuedPerOwner, ttlMs, webhookSecret, webhookMaxAttempts, webhookTimeoutMs }) {
+    this.storage = storage;
+    this.concurrency = concurrency;
+    this.maxQueued = maxQueued;
+    this.maxQueuedPerOwner = maxQueuedPerOwner;
+    this.ttlMs = ttlMs;
+    this.webhookSecret = webhookSecret;
+    this.webhookMaxAttempts = webhookMaxAttempts;
+    this.webhookTimeoutMs = webhookTimeoutMs;
+    // Queued jobs as { id, owner }, plus the owners of jobs still being stored, so the
+    // queue limits also hold for submits that arrive together
+    this.queue = [];
+    this.submitting = [];
+    this.running = new Map();
   }
 
-  async generateImage(prompt, options = {}) {
+  // Jobs that were queued or running when the server stopped can't be resumed
+  async recover() {
+    for (const job of await this.storage.list()) {
+      if (!FINISHED_JOB_STATES.has(job.status)) {
+        await this.finish(job, JOB_STATES.FAILED, { error: 'Server restarted before the job finished' });
+      }
+    }
+  }
+
+  // Run the same checks as a direct tools/call, then queue the call. The caller's rate
+  // limit budget is charged now; the job queue has its own concurrency limit.
+  async submit(toolName, args, client, { webhookUrl, webhookSecret } = {}) {
+    const tool = toolRegistry.get(toolName);
+    if (!tool || tool.scope === 'jobs') {
+      throw new McpError(-32602, `Unknown tool: ${toolName}`);
+    }
+    if (!isToolAllowed(client.auth, toolName)) {
+      throw new McpError(-32005, `Forbidden: API key '${client.auth.name}' is not allowed to call '${toolName}'`);
+    }
+    const { args: toolArgs, moderation } = prepareToolArguments(toolName, args, client);
+    const webhook = webhookUrl
+      ? { url: validateWebhookUrl(webhookUrl), secret: webhookSecret || null, attempts: 0, deliveredAt: null, lastError: null }
+      : null;
+    const owner = client.auth?.name || null;
+    this.checkQueueLimits(owner);
+    rateLimiter.consume(rateLimitKey(client), tool.scope, tool.cost ? tool.cost(toolArgs) : 1);
+
+    const now = Date.now();
+    const job = {
+      id: `job-${crypto.randomUUID()}`,
+      tool: toolName,
+      arguments: toolArgs,
+      moderation,
+      requestId: requestContext.getStore()?.requestId || null,
+      status: JOB_STATES.QUEUED,
+      owner,
+      baseUrl: client.baseUrl || null,
+      result: null,
+      error: null,
+      webhook,
+      createdAt: new Date(now).toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      expiresAt: new Date(now + this.ttlMs).toISOString()
+    };
+    this.submitting.push(owner);
     try {
-      const { width = 1024, height = 1024, model = 'flux', seed } = options;
-      const params = new URLSearchParams({
-        width: width.toString(),
-        height: height.toString(),
-        model,
-        nologo: 'true',
-        nofeed: 'true',
-        ...(seed && { seed: seed.toString() })
-      });
+      await this.storage.set(job);
+    } finally {
+      this.submitting.splice(this.submitting.indexOf(owner), 1);
+    }
+    logger.info('Job queued', { jobId: job.id, tool: toolName });
 
-      const imageUrl = `${this.imageBaseUrl}/${encodeURIComponent(prompt)}?${params}`;
-      console.log(`Generating image: ${prompt.substring(0, 50)}...`);
+    this.queue.push({ id: job.id, owner });
+    this.drain();
+    return job;
+  }
 
-      const response = await axios.get(imageUrl, {
-        responseType: 'arraybuffer',
-        timeout: 30000
+  // A full queue is rejected like a rate limit rather than growing without bound
+  checkQueueLimits(owner) {
+    const owners = [...this.queue.map(entry => entry.owner), ...this.submitting];
+    const owned = owners.filter(entry => entry === owner).length;
+    let limit = null;
+    if (owned >= this.maxQueuedPerOwner) {
+      limit = `${owned} queued for this API key (limit ${this.maxQueuedPerOwner})`;
+    } else if (owners.length >= this.maxQueued) {
+      limit = `${owners.length} queued (limit ${this.maxQueued})`;
+    }
+    if (limit) {
+      throw new McpError(-32006, `Too many queued jobs: ${limit}`, {
+        reason: 'job_queue_full',
+        retryAfterMs: 1000,
+        retryAfter: 1
       });
+    }
+  }
 
-      const base64 = Buffer.from(response.data).toString('base64');
-      return {
-        success: true,
-        base64,
-        url: imageUrl,
-        contentType: response.headers['content-type'] || 'image/png'
-      };
-    } catch (error) {
-      console.error('Image generation failed:', error.message);
-      throw new Error(`Image generation failed: ${error.message}`);
+  drain() {
+    while (this.running.size < this.concurrency && this.queue.length > 0) {
+      const { id } = this.queue.shift();
+      const controller = new AbortController();
+      this.running.set(id, controller);
+      this.run(id, controller)
+        .catch(error => logger.error('Job bookkeeping failed', { jobId: id, error }))
+        .finally(() => {
+          this.running.delete(id);
+          this.drain();
+        });
     }
   }
 
-  async generateText(prompt, model = 'openai') {
-    try {
-      console.log(`Generating text with ${model}: ${prompt.substring(0, 50)}...`);
+  async run(id, controller) {
+    const job = await this.storage.get(id);
+    if (!job || job.status !== JOB_STATES.QUEUED) {
+      return;
+    }
 
-      const response = await axios.post(`${this.textBaseUrl}/${model}`, {
-        messages: [{ role: 'user', content: prompt }],
-        jsonMode: false
-      }, {
-        timeout: 30000,
-        headers: { 'Content-Type': 'application/json' }
+    // Logs carry the ID of the request that submitted the job
+    return withLogContext({ requestId: job.requestId || job.id, jobId: job.id, tool: job.tool }, async () => {
+      job.status = JOB_STATES.RUNNING;
+      job.startedAt = new Date().toISOString();
+      await this.storage.set(job);
+      logger.info('Job running');
+
+      // Tools see the job as a session owned by the submitting key
+      const session = { id: job.id, transport: 'job', auth: job.owner ? { name: job.owner } : null, baseUrl: job.baseUrl };
+      const startedAt = Date.now();
+      try {
+        const toolResult = await mcpProcessor.callTool(job.tool, job.arguments, {
+          session,
+          moderation: job.moderation,
+          signal: controller.signal
+        });
+        if (!controller.signal.aborted) {
+          recordToolCall({ session, tool: job.tool, args: job.arguments, startedAt, outcome: 'success', moderation: job.moderation });
+          await this.finish(job, JOB_STATES.SUCCEEDED, { result: withoutInlineMedia(toolResult) });
+        }
+      } catch (error) {
+        const outcome = controller.signal.aborted ? 'cancelled' : 'error';
+        recordToolCall({ session, tool: job.tool, args: job.arguments, startedAt, outcome, error: error.message, moderation: job.moderation });
+        if (!controller.signal.aborted) {
+          await this.finish(job, JOB_STATES.FAILED, { error: error.message });
+        }
+      }
+    });
+  }
+
+  async finish(job, status, { result = null, error = null } = {}) {
+    const now = Date.now();
+    job.status = status;
+    job.result = result;
+    job.error = error;
+    job.finishedAt = new Date(now).toISOString();
+    job.expiresAt = new Date(now + this.ttlMs).toISOString();
+    await this.storage.set(job);
+    logger[status === JOB_STATES.FAILED ? 'warn' : 'info'](`Job ${status}`, { jobId: job.id, error: error || undefined });
+
+    if (job.webhook) {
+      this.deliverWebhook(job).catch(deliveryError => {
+        logger.error('Webhook delivery failed', { jobId: job.id, error: deliveryError });
       });
+    }
+    return job;
+  }
 
-      return {
-        success: true,
-        content: response.data
+  // Expired jobs and jobs submitted with another API key are treated as missing
+  async get(id, owner) {
+    const job = await this.storage.get(id);
+    if (!job) {
+      return null;
+    }
+    if (FINISHED_JOB_STATES.has(job.status) && Date.parse(job.expiresAt) <= Date.now()) {
+      await this.storage.delete(id);
+      return null;
+    }
+    if ((job.owner || null) !== (owner || null)) {
+      return null;
+    }
+    return job;
+  }
+
+  // Finished jobs are returned unchanged; queued jobs leave the queue, running ones are aborted
+  async cancel(id, owner) {
+    const job = await this.get(id, owner);
+    if (!job || FINISHED_JOB_STATES.has(job.status)) {
+      return job;
+    }
+
+    const queued = this.queue.findIndex(entry => entry.id === id);
+    if (queued !== -1) {
+      this.queue.splice(queued, 1);
+    }
+    this.running.get(id)?.abort();
+    return this.finish(job, JOB_STATES.CANCELLED);
+  }
+
+  async deleteExpired() {
+    const now = Date.now();
+    for (const job of await this.storage.list()) {
+      if (FINISHED_JOB_STATES.has(job.status) && Date.parse(job.expiresAt) <= now) {
+        await this.storage.delete(job.id);
+      }
+    }
+  }
+
+  // POST the finished job, retrying with exponential backoff. With a secret the body is
+  // signed as HMAC-SHA256 over "<timestamp>.<body>" so receivers can reject replays.
+  async deliverWebhook(job) {
+    const { webhook } = job;
+    const body = JSON.stringify({ event: `job.${job.status}`, job: this.toJSON(job) });
+    const secret = webhook.secret || this.webhookSecret;
+
+    for (let attempt = 1; attempt <= this.webhookMaxAttempts; attempt++) {
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+      const headers = {
+        'Content-Type': 'application/json',
+        'User-Agent': 'pollinations-mcp-server',
+        'X-Pollinations-Event': `job.${job.status}`,
+        'X-Pollinations-Job-Id': job.id,
+        'X-Pollinations-Timestamp': timestamp
       };
-    } catch (error) {
-      console.error('Text generation failed:', error.message);
-      throw new Error(`Text generation failed: ${error.message}`);
+      if (secret) {
+        const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+        headers['X-Pollinations-Signature'] = `sha256=${signature}`;
+      }
+
+      webhook.attempts = attempt;
+      try {
+        await axios.post(webhook.url, body, {
+          headers,
+          timeout: this.webhookTimeoutMs,
+          // Hosts named in WEBHOOK_ALLOWED_HOSTS are trusted even on private networks
+          ...(WEBHOOK_ALLOWED_HOSTS.length === 0 ? PUBLIC_ONLY_REQUEST : { maxRedirects: 0 })
+        });
+        webhook.deliveredAt = new Date().toISOString();
+        webhook.lastError = null;
+        await this.storage.set(job);
+        logger.info('Webhook delivered', { jobId: job.id, attempt });
+        return;
+      } catch (error) {
+        webhook.lastError = error.message;
+        await this.storage.set(job);
+        logger.warn('Webhook attempt failed', { jobId: job.id, attempt, maxAttempts: this.webhookMaxAttempts, error });
+
+        // Client errors other than timeouts and throttling won't fix themselves
+        const status = error.response?.status;
+        if (status >= 400 && status < 500 && status !== 408 && status !== 429) {
+          return;
+        }
+      }
+
+      if (attempt < this.webhookMaxAttempts) {
+        await new Promise(resolve => setTimeout(resolve, WEBHOOK_RETRY_DELAY_MS * 2 ** (attempt - 1)));
+      }
     }
   }
 
-  getAvailableModels() {
+  // Public view of a job; the webhook secret and internal fields stay server-side
+  toJSON(job) {
     return {
-      image: ['flux', 'turbo', 'flux-realism', 'flux-cablyai', 'any-dark'],
-      text: ['openai', 'mistral', 'claude', 'llama', 'gemini']
+      id: job.id,
+      tool: job.tool,
+      status: job.status,
+      arguments: job.arguments,
+      result: job.result,
+      error: job.error,
+      webhook: job.webhook && {
+        url: job.webhook.url,
+        attempts: job.webhook.attempts,
+        deliveredAt: job.webhook.deliveredAt,
+        lastError: job.webhook.lastError
+      },
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      expiresAt: job.expiresAt
     };
   }
-}
 
-const pollinations = new PollinationsClient();
+  getStats() {
+    return {
+      queued: this.queue.length,
+      running: this.running.size,
+      concurrency: this.concurrency
+    };
+  }
+}
 
-// MCP Tools Definition
-const MCP_TOOLS = [
+const jobs = new JobManager(
+  JOB_STORAGE === 'file' ? new FileRecordStorage(JOB_FILE, 'jobs') : new MemoryRecordStorage(),
   {
-    name: 'generate_image',
-    description: 'Generate an image from a text prompt using Pollinations AI',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        prompt: {
-          type: 'string',
-          description: 'Text description of the image to generate'
-        },
-        width: {
-          type: 'number',
-          description: 'Image width in pixels (default: 1024)',
-          default: 1024
-        },
-        height: {
-          type: 'number',
-          description: 'Image height in pixels (default: 1024)',
-          default: 1024
-        },
-        model: {
-          type: 'string',
-          description: 'Image generation model to use',
-          enum: ['flux', 'turbo', 'flux-realism', 'flux-cablyai', 'any-dark'],
-          default: 'flux'
-        },
-        seed: {
-          type: 'number',
-          description: 'Random seed for reproducible results (optional)'
-        }
-      },
-      required: ['prompt']
+    concurrency: JOB_CONCURRENCY,
+    maxQueued: JOB_MAX_QUEUED,
+    maxQueuedPerOwner: JOB_MAX_QUEUED_PER_OWNER,
+    ttlMs: JOB_TTL_MS,
+    webhookSecret: WEBHOOK_SECRET,
+    webhookMaxAttempts: WEBHOOK_MAX_ATTEMPTS,
+    webhookTimeoutMs: WEBHOOK_TIMEOUT_MS
+  }
+);
+
+setInterval(() => {
+  jobs.deleteExpired().catch(error => logger.error('Job cleanup failed', { error }));
+}, 60000).unref();
+
+// Generation history: every image, text and audio output is recorded and exposed as an
+// MCP resource (pollinations://images/{id}, pollinations://texts/{id}, pollinations://audio/{id})
+// so agents can refer back to earlier outputs without regenerating them
+const HISTORY_STORAGE = process.env.HISTORY_STORAGE || 'memory';
+const HISTORY_FILE = process.env.HISTORY_FILE || path.join(__dirname, 'data', 'history.json');
+const HISTORY_MAX_ENTRIES = parseInt(process.env.HISTORY_MAX_ENTRIES, 10) || 1000;
+const HISTORY_TTL_MS = parseInt(process.env.HISTORY_TTL_MS, 10) || IMAGE_CACHE_TTL_MS;
+const RESOURCE_PAGE_SIZE = 100;
+
+const RESOURCE_SCHEME = 'pollinations://';
+
+// Asset type -> URI collection. Media bytes live in the media caches; text is stored inline.
+const HISTORY_COLLECTIONS = {
+  image: { collection: 'images', title: 'Generated image', cache: imageCache },
+  text: { collection: 'texts', title: 'Generated text' },
+  audio: { collection: 'audio', title: 'Generated speech', cache: audioCache }
+};
+
+// Splits pollinations://<collection>[/<id>]; returns null for anything else
+function parseResourceUri(uri) {
+  const match = /^pollinations:\/\/([a-z]+)(?:\/([^/]+))?$/.exec(String(uri || ''));
+  if (!match) {
+    return null;
+  }
+  const type = Object.keys(HISTORY_COLLECTIONS).find(key => HISTORY_COLLECTIONS[key].collection === match[1]);
+  return type ? { type, id: match[2] || null } : null;
+}
+
+// Emits 'record' with the new entries and their owner whenever assets land
+class HistoryStore extends EventEmitter {
+  constructor(storage, { maxEntries, ttlMs }) {
+    super();
+    this.storage = storage;
+    this.maxEntries = maxEntries;
+    this.ttlMs = ttlMs;
+  }
+
+  // assets come from a tool's history() hook: { type, description, mimeType } plus
+  // 'text' for text outputs or 'hash' (and optionally the source 'url') for media
+  async record(assets, { tool, owner }) {
+    const now = Date.now();
+    const entries = [];
+    for (const asset of assets) {
+      if (!HISTORY_COLLECTIONS[asset.type]) {
+        continue;
+      }
+      const entry = {
+        id: crypto.randomUUID(),
+        type: asset.type,
+        tool,
+        owner: owner || null,
+        description: asset.description ? String(asset.description).substring(0, 500) : null,
+        mimeType: asset.mimeType || (asset.type === 'text' ? 'text/plain' : null),
+        hash: asset.hash || null,
+        url: asset.url || null,
+        text: asset.type === 'text' ? String(asset.text ?? '') : null,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + this.ttlMs).toISOString()
+      };
+      await this.storage.set(entry);
+      entries.push(entry);
     }
-  },
-  {
-    name: 'generate_text',
-    description: 'Generate text content using Pollinations AI language models',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        prompt: {
-          type: 'string',
-          description: 'Text prompt for content generation'
-        },
-        model: {
-          type: 'string',
-          description: 'Language model to use for generation',
-          enum: ['openai', 'mistral', 'claude', 'llama', 'gemini'],
-          default: 'openai'
-        }
-      },
-      required: ['prompt']
+
+    if (entries.length > 0) {
+      await this.prune();
+      this.emit('record', entries, owner || null);
     }
-  },
-  {
-    name: 'list_models',
-    description: 'List all available models for image and text generation',
-    inputSchema: {
-      type: 'object',
-      properties: {},
-      required: []
+    return entries;
+  }
+
+  // Newest first; expired entries and entries owned by another API key are left out
+  async list(owner, type) {
+    const now = Date.now();
+    return (await this.storage.list())
+      .filter(entry =>
+        Date.parse(entry.expiresAt) > now &&
+        (entry.owner || null) === (owner || null) &&
+        (!type || entry.type === type)
+      )
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  async get(id, owner) {
+    const entry = await this.storage.get(id);
+    if (!entry || Date.parse(entry.expiresAt) <= Date.now() || (entry.owner || null) !== (owner || null)) {
+      return null;
+    }
+    return entry;
+  }
+
+  // Drops expired entries, then the oldest ones beyond maxEntries
+  async prune() {
+    const now = Date.now();
+    const entries = (await this.storage.list()).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    for (const [index, entry] of entries.entries()) {
+      if (Date.parse(entry.expiresAt) <= now || index >= this.maxEntries) {
+        await this.storage.delete(entry.id);
+      }
+    }
+  }
+
+  uri(entry) {
+    return `${RESOURCE_SCHEME}${HISTORY_COLLECTIONS[entry.type].collection}/${entry.id}`;
+  }
+
+  toResource(entry) {
+    const { title } = HISTORY_COLLECTIONS[entry.type];
+    return {
+      uri: this.uri(entry),
+      name: `${entry.type}-${entry.id}`,
+      title: entry.description ? `${title}: ${entry.description.substring(0, 60)}` : title,
+      description: entry.description || undefined,
+      mimeType: entry.mimeType || undefined,
+      annotations: { lastModified: entry.createdAt },
+      ...(entry.text !== null && { size: Buffer.byteLength(entry.text) })
+    };
+  }
+
+  // Contents for resources/read. Media is read back from its cache, so an asset the
+  // cache has evicted can still be listed but no longer read.
+  async readContents(entry) {
+    const uri = this.uri(entry);
+    if (entry.type === 'text') {
+      return [{ uri, mimeType: entry.mimeType, text: entry.text }];
+    }
+
+    const cached = entry.hash ? await HISTORY_COLLECTIONS[entry.type].cache.lookup(entry.hash) : null;
+    if (!cached) {
+      throw new McpError(-32602, `Resource is no longer cached: ${uri}${entry.url ? `; its source is ${entry.url}` : ''}`, { uri });
+    }
+    return [{ uri, mimeType: cached.contentType, blob: cached.data.toString('base64') }];
+  }
+}
+
+const history = new HistoryStore(
+  HISTORY_STORAGE === 'file' ? new FileRecordStorage(HISTORY_FILE, 'history') : new MemoryRecordStorage(),
+  { maxEntries: HISTORY_MAX_ENTRIES, ttlMs: HISTORY_TTL_MS }
+);
+
+setInterval(() => {
+  history.prune().catch(error => logger.error('History cleanup failed', { error }));
+}, 60000).unref();
+
+// Records what a tool call produced. History is best-effort: a failure here never fails the call.
+async function recordToolHistory(tool, toolResult, args, session) {
+  if (!tool.history) {
+    return;
+  }
+  try {
+    await history.record(tool.history(toolResult, args) || [], {
+      tool: tool.name,
+      owner: session?.auth?.name
+    });
+  } catch (error) {
+    logger.error('Failed to record history', { tool: tool.name, error });
+  }
+}
+
+// Templates for resources/templates/list, one per collection
+function getResourceTemplates() {
+  return Object.values(HISTORY_COLLECTIONS).map(({ collection, title }) => ({
+    uriTemplate: `${RESOURCE_SCHEME}${collection}/{id}`,
+    name: collection,
+    title,
+    description: `${title} from this server's generation history`
+  }));
+}
+
+// resources/list cursors are opaque offsets into the newest-first listing
+function encodeResourceCursor(offset) {
+  return Buffer.from(String(offset)).toString('base64url');
+}
+
+function decodeResourceCursor(cursor) {
+  if (cursor === undefined) {
+    return 0;
+  }
+  const decoded = Buffer.from(String(cursor), 'base64url').toString();
+  if (!/^\d+$/.test(decoded)) {
+    throw new McpError(-32602, 'Invalid cursor');
+  }
+  return parseInt(decoded, 10);
+}
+
+// Extra concurrency slots for a tool that runs several upstream calls at once
+function reserveToolSlots(session, count) {
+  return rateLimiter.reserve(rateLimitKey(session), count);
+}
+
+// Shared services handed to every tool handler
+const toolServices = {
+  pollinations,
+  modelCatalog,
+  conversations,
+  imageCache,
+  generateImageCached,
+  generateSpeechCached,
+  createTextProgressReporter,
+  summarizeConversation,
+  jobs,
+  loadInputImage,
+  loadInputAudio,
+  resolveReferenceImage,
+  reserveToolSlots,
+  logger,
+  McpError
+};
+
+// Tool definitions with each 'model' parameter's enum filled in from the model catalogue
+function getTools() {
+  return toolRegistry.list().map(({ name, description, inputSchema, outputSchema, scope, modelInput }) => {
+    const tool = { name, description, inputSchema, ...(outputSchema && { outputSchema }) };
+    const modelProperty = inputSchema.properties?.model;
+    if (!modelProperty || (scope !== 'image' && scope !== 'text')) {
+      return tool;
     }
+
+    // Tools that send e.g. images to the model only offer models accepting that input
+    const names = modelCatalog.names(scope)
+      .filter(model => !modelInput || modelCatalog.supportsInput(scope, model, modelInput));
+    if (names.length === 0) {
+      return tool;
+    }
+    return {
+      ...tool,
+      inputSchema: {
+        ...tool.inputSchema,
+        properties: {
+          ...tool.inputSchema.properties,
+          model: {
+            ...modelProperty,
+            enum: names,
+            default: names.includes(modelProperty.default) ? modelProperty.default : names[0]
+          }
+        }
+      }
+    };
+  });
+}
+
+// Echo the client's protocol version when we support it, otherwise offer our latest
+function negotiateProtocolVersion(requestedVersion) {
+  if (SUPPORTED_PROTOCOL_VERSIONS.includes(requestedVersion)) {
+    return requestedVersion;
   }
-];
+  return SUPPORTED_PROTOCOL_VERSIONS[0];
+}
 
 // MCP Message Processor
 class MCPProcessor {
-  constructor() {
-    this.initialized = false;
+  // Sessions must complete the initialize handshake before using tools
+  assertInitialized(session) {
+    if (!session || session.state !== SESSION_STATES.INITIALIZED) {
+      throw new McpError(-32002, 'Session not initialized: send initialize first');
+    }
+  }
+
+  // context.notify sends server-to-client messages related to this request (e.g. progress)
+  processMessage(message, session, context = {}) {
+    return withLogContext(
+      { sessionId: session?.id, method: message.method, rpcId: message.id },
+      () => this.dispatchMessage(message, session, context)
+    );
   }
 
-  async processMessage(message, connectionId) {
+  async dispatchMessage(message, session, context) {
     const { id, method, params } = message;
 
-    console.log(`[${connectionId}] Processing MCP: ${method} (ID: ${id})`);
+    logger.debug('Processing MCP message', { params: redactForLog(params) });
 
     try {
       switch (method) {
-        case 'initialize':
-          this.initialized = true;
+        case 'initialize': {
+          if (session && session.state === SESSION_STATES.INITIALIZED) {
+            throw new McpError(-32600, 'Session already initialized');
+          }
+          const protocolVersion = negotiateProtocolVersion(params?.protocolVersion);
+          if (session) {
+            sessions.markInitialized(session, {
+              protocolVersion,
+              clientInfo: params?.clientInfo,
+              clientCapabilities: params?.capabilities
+            });
+          }
           return {
             jsonrpc: '2.0',
             id,
             result: {
-              protocolVersion: '2024-11-05',
+              protocolVersion,
               capabilities: {
                 tools: { listChanged: true },
-                resources: {},
+                resources: { subscribe: true, listChanged: true },
                 prompts: {}
               },
               serverInfo: {
@@ -192,102 +3680,326 @@ class MCPProcessor {
               }
             }
           };
+        }
 
         case 'notifications/initialized':
-          console.log(`[${connectionId}] Client initialized notification received`);
+          logger.info('Client initialized');
           return null; // No response for notifications
 
+        case 'notifications/cancelled': {
+          const inFlight = session?.inFlight.get(params?.requestId);
+          if (inFlight) {
+            logger.info('Cancelling request', { cancelledRpcId: params.requestId, reason: params.reason });
+            inFlight.cancelled = true;
+            inFlight.controller.abort();
+          }
+          return null;
+        }
+
         case 'tools/list':
-          if (!this.initialized) {
-            throw new Error('Server not initialized');
+          this.assertInitialized(session);
+          return {
+            jsonrpc: '2.0',
+            id,
+            result: {
+              tools: getTools().filter(tool => isToolAllowed(session.auth, tool.name))
+            }
+          };
+
+        case 'tools/call': {
+          this.assertInitialized(session);
+          // Filled in as the call proceeds; every call that reaches this point is audited
+          const audit = { session, tool: params?.name, args: params?.arguments, startedAt: Date.now(), outcome: 'success' };
+          try {
+            const response = await withLogContext({ tool: params?.name }, () => this.handleToolCall(id, params, session, context, audit));
+            recordToolCall(audit);
+            return response;
+          } catch (error) {
+            recordToolCall({
+              ...audit,
+              outcome: AUDIT_ERROR_OUTCOMES[error.code] || 'error',
+              error: error.message,
+              moderation: audit.moderation || error.data?.moderation
+            });
+            throw error;
           }
+        }
+
+        case 'prompts/list':
+          this.assertInitialized(session);
           return {
             jsonrpc: '2.0',
             id,
             result: {
-              tools: MCP_TOOLS
+              prompts: prompts.list()
+                .filter(template => isPromptAllowed(session.auth, template))
+                .map(describePrompt)
             }
           };
 
-        case 'tools/call':
-          if (!this.initialized) {
-            throw new Error('Server not initialized');
+        case 'prompts/get': {
+          this.assertInitialized(session);
+          const template = prompts.get(params?.name);
+          if (!template) {
+            throw new McpError(-32602, `Unknown prompt: ${params?.name}`);
+          }
+          if (!isPromptAllowed(session.auth, template)) {
+            throw new McpError(-32005, `Forbidden: API key '${session.auth.name}' is not allowed to call '${template.tool}'`);
           }
-          const toolResult = await this.callTool(params.name, params.arguments || {});
           return {
             jsonrpc: '2.0',
             id,
             result: {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify(toolResult, null, 2)
-                }
-              ]
+              ...(template.description && { description: template.description }),
+              messages: [{
+                role: 'user',
+                content: { type: 'text', text: prompts.render(template, params.arguments || {}) }
+              }]
+            }
+          };
+        }
+
+        case 'resources/list': {
+          this.assertInitialized(session);
+          const entries = await history.list(session.auth?.name);
+          const offset = decodeResourceCursor(params?.cursor);
+          const page = entries.slice(offset, offset + RESOURCE_PAGE_SIZE);
+          return {
+            jsonrpc: '2.0',
+            id,
+            result: {
+              resources: page.map(entry => history.toResource(entry)),
+              ...(offset + RESOURCE_PAGE_SIZE < entries.length && { nextCursor: encodeResourceCursor(offset + RESOURCE_PAGE_SIZE) })
             }
           };
+        }
+
+        case 'resources/templates/list':
+          this.assertInitialized(session);
+          return {
+            jsonrpc: '2.0',
+            id,
+            result: { resourceTemplates: getResourceTemplates() }
+          };
+
+        case 'resources/read': {
+          this.assertInitialized(session);
+          return {
+            jsonrpc: '2.0',
+            id,
+            result: { contents: await this.readResource(params?.uri, session) }
+          };
+        }
+
+        case 'resources/subscribe':
+        case 'resources/unsubscribe': {
+          this.assertInitialized(session);
+          if (!parseResourceUri(params?.uri)) {
+            throw new McpError(-32602, `Unknown resource: ${params?.uri}`, { uri: params?.uri });
+          }
+          if (method === 'resources/subscribe') {
+            session.subscriptions.add(params.uri);
+          } else {
+            session.subscriptions.delete(params.uri);
+          }
+          return { jsonrpc: '2.0', id, result: {} };
+        }
 
         default:
           throw new Error(`Unsupported method: ${method}`);
       }
     } catch (error) {
-      console.error(`[${connectionId}] Error processing ${method}:`, error.message);
+      logger.warn('Error processing MCP message', { error });
+      if (error instanceof McpError) {
+        return {
+          jsonrpc: '2.0',
+          id,
+          error: {
+            code: error.code,
+            message: error.message,
+            ...(error.data !== undefined && { data: error.data })
+          }
+        };
+      }
+      return {
+        jsonrpc: '2.0',
+        id,
+        error: {
+          code: -32603,
+          message: 'Internal error',
+          data: error.message
+        }
+      };
+    }
+  }
+
+  // tools/call; audit collects the outcome for the caller to record
+  async handleToolCall(id, params, session, context, audit) {
+    if (!toolRegistry.get(params?.name)) {
+      throw new McpError(-32602, `Unknown tool: ${params?.name}`);
+    }
+    if (!isToolAllowed(session.auth, params.name)) {
+      throw new McpError(-32005, `Forbidden: API key '${session.auth.name}' is not allowed to call '${params.name}'`);
+    }
+    const { args: toolArgs, moderation } = prepareToolArguments(params.name, params.arguments, session);
+    // Audit what the tool actually ran with: expanded, defaulted and redacted
+    audit.args = toolArgs;
+    audit.moderation = moderation;
+
+    // Track the call so notifications/cancelled or a closing session can abort it
+    const inFlight = { controller: new AbortController(), cancelled: false };
+    session.inFlight.set(id, inFlight);
+
+    let toolResult;
+    let toolError;
+    try {
+      const tool = toolRegistry.get(params.name);
+      const cost = tool.cost ? tool.cost(toolArgs) : 1;
+      const release = await rateLimiter.acquire(rateLimitKey(session), tool.scope, inFlight.controller.signal, cost);
+      try {
+        toolResult = await this.callTool(params.name, toolArgs, {
+          session,
+          moderation,
+          notify: context.notify || session.send,
+          progressToken: params._meta?.progressToken,
+          signal: inFlight.controller.signal
+        });
+      } catch (error) {
+        // Failures inside the tool (upstream errors, missing conversations, ...) are
+        // tool results the model can see and react to, not protocol errors
+        if (error instanceof McpError || inFlight.cancelled) {
+          throw error;
+        }
+        logger.warn('Tool failed', { error });
+        toolError = error;
+      } finally {
+        release();
+      }
+    } catch (error) {
+      if (!inFlight.cancelled) {
+        throw error;
+      }
+    } finally {
+      if (session.inFlight.get(id) === inFlight) {
+        session.inFlight.delete(id);
+      }
+    }
+
+    // Cancelled requests get no response at all
+    if (inFlight.cancelled) {
+      logger.info('Request was cancelled; suppressing its response');
+      audit.outcome = 'cancelled';
+      return null;
+    }
+
+    if (toolError) {
+      audit.outcome = 'error';
+      audit.error = toolError.message;
       return {
         jsonrpc: '2.0',
         id,
-        error: {
-          code: -32603,
-          message: 'Internal error',
-          data: error.message
+        result: {
+          content: [{ type: 'text', text: toolError.message }],
+          isError: true
         }
       };
     }
+
+    return {
+      jsonrpc: '2.0',
+      id,
+      result: this.formatToolResult(toolResult, toolArgs)
+    };
   }
 
-  async callTool(toolName, args) {
-    console.log(`Calling tool: ${toolName}`);
+  async callTool(toolName, args, context = {}) {
+    logger.info('Calling tool', { tool: toolName });
+    const tool = toolRegistry.get(toolName);
+    if (!tool) {
+      throw new Error(`Unknown tool: ${toolName}`);
+    }
 
-    switch (toolName) {
-      case 'generate_image':
-        const imageResult = await pollinations.generateImage(args.prompt, {
-          width: args.width,
-          height: args.height,
-          model: args.model,
-          seed: args.seed
-        });
-        return {
-          tool: 'generate_image',
-          result: imageResult,
-          metadata: {
-            prompt: args.prompt,
-            timestamp: new Date().toISOString()
-          }
-        };
+    // The deadline aborts the upstream requests and fails the call even if a handler
+    // doesn't watch the signal
+    const timeoutMs = TOOL_TIMEOUTS[toolName] || tool.timeoutMs || TOOL_TIMEOUT_MS;
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    if (context.signal?.aborted) {
+      abort();
+    }
+    context.signal?.addEventListener('abort', abort, { once: true });
 
-      case 'generate_text':
-        const textResult = await pollinations.generateText(args.prompt, args.model);
-        return {
-          tool: 'generate_text',
-          result: textResult,
-          metadata: {
-            prompt: args.prompt,
-            model: args.model,
-            timestamp: new Date().toISOString()
-          }
-        };
+    let timer;
+    const deadline = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        controller.abort();
+        reject(new Error(`${toolName} timed out after ${timeoutMs}ms`));
+      }, timeoutMs);
+    });
 
-      case 'list_models':
-        return {
-          tool: 'list_models',
-          result: pollinations.getAvailableModels(),
-          metadata: {
-            timestamp: new Date().toISOString()
-          }
-        };
+    let output;
+    try {
+      output = await Promise.race([
+        tool.handler(args, { ...context, signal: controller.signal, services: toolServices }),
+        deadline
+      ]);
+    } finally {
+      clearTimeout(timer);
+      context.signal?.removeEventListener('abort', abort);
+    }
+
+    const { result, metadata } = output;
+    const toolResult = {
+      tool: toolName,
+      result,
+      metadata: {
+        ...metadata,
+        ...(context.moderation && { moderation: context.moderation }),
+        timestamp: new Date().toISOString()
+      }
+    };
+    await recordToolHistory(tool, toolResult, args, context.session);
+    return toolResult;
+  }
+
+  // A history entry's contents, or for a collection URI (pollinations://images) a JSON
+  // listing of its entries
+  async readResource(uri, session) {
+    const parsed = parseResourceUri(uri);
+    if (!parsed) {
+      throw new McpError(-32602, `Unknown resource: ${uri}`, { uri });
+    }
+    const owner = session.auth?.name;
 
-      default:
-        throw new Error(`Unknown tool: ${toolName}`);
+    if (!parsed.id) {
+      const entries = await history.list(owner, parsed.type);
+      return [{
+        uri,
+        mimeType: 'application/json',
+        text: JSON.stringify(entries.map(entry => history.toResource(entry)), null, 2)
+      }];
     }
+
+    const entry = await history.get(parsed.id, owner);
+    if (!entry || entry.type !== parsed.type) {
+      throw new McpError(-32602, `Resource not found: ${uri}`, { uri });
+    }
+    return history.readContents(entry);
+  }
+
+  // Turn a tool result into an MCP tool result. Tools may format their own content
+  // blocks; the default is the whole result as JSON text. Tools that declare an
+  // outputSchema also return the result as structuredContent.
+  formatToolResult(toolResult, args = {}) {
+    const tool = toolRegistry.get(toolResult.tool);
+    const content = tool.formatContent
+      ? tool.formatContent(toolResult, args)
+      : [{ type: 'text', text: JSON.stringify(toolResult, null, 2) }];
+
+    return {
+      content,
+      ...(tool.outputSchema && { structuredContent: toolResult.result })
+    };
   }
 }
 
@@ -302,104 +4014,311 @@ app.get('/', (req, res) => {
     environment: process.env.NODE_ENV || 'development',
     endpoints: {
       health: '/health',
+      livez: '/livez',
+      readyz: '/readyz',
+      metrics: '/metrics',
       sse: '/sse',
+      streamableHttp: STREAMABLE_HTTP_PATH,
+      images: '/images/:hash',
+      audio: '/audio/:hash',
+      jobs: '/jobs',
       test: '/api/test'
     },
-    tools: ['generate_image', 'generate_text', 'list_models']
+    tools: toolRegistry.names()
   });
 });
 
+// Readiness: a background probe checks that Pollinations is reachable so /readyz answers
+// from the last result instead of calling upstream on every probe. An empty
+// READINESS_PROBE_URL turns the upstream check off.
+const READINESS_PROBE_URL = process.env.READINESS_PROBE_URL ?? 'https://text.pollinations.ai/models';
+const READINESS_PROBE_INTERVAL_MS = parseInt(process.env.READINESS_PROBE_INTERVAL_MS, 10) || 30000;
+const READINESS_PROBE_TIMEOUT_MS = parseInt(process.env.READINESS_PROBE_TIMEOUT_MS, 10) || 5000;
+
+class ReadinessProbe {
+  constructor({ url, intervalMs, timeoutMs }) {
+    this.url = url;
+    this.intervalMs = intervalMs;
+    this.timeoutMs = timeoutMs;
+    this.shuttingDown = false;
+    this.upstream = { reachable: null, checkedAt: null, latencyMs: null, lastError: null };
+  }
+
+  start() {
+    if (!this.url) {
+      return;
+    }
+    this.check();
+    setInterval(() => this.check(), this.intervalMs).unref();
+  }
+
+  // Any answer below 500 means the upstream is up, even if it rejects the probe itself
+  async check() {
+    const startedAt = Date.now();
+    let error = null;
+    try {
+      await axios.get(this.url, { timeout: this.timeoutMs, validateStatus: status => status < 500 });
+    } catch (probeError) {
+      error = probeError;
+    }
+
+    const reachable = !error;
+    if (reachable !== this.upstream.reachable) {
+      if (reachable) {
+        logger.info('Upstream reachable', { url: this.url });
+      } else {
+        logger.warn('Upstream unreachable', { url: this.url, error });
+      }
+    }
+    this.upstream = {
+      reachable,
+      checkedAt: new Date().toISOString(),
+      latencyMs: Date.now() - startedAt,
+      lastError: error ? error.message : null
+    };
+  }
+
+  isReady() {
+    return !this.shuttingDown && (!this.url || this.upstream.reachable === true);
+  }
+
+  getStatus() {
+    return {
+      ready: this.isReady(),
+      shuttingDown: this.shuttingDown,
+      upstream: this.url ? { url: this.url, ...this.upstream } : { enabled: false }
+    };
+  }
+}
+
+const readiness = new ReadinessProbe({
+  url: READINESS_PROBE_URL,
+  intervalMs: READINESS_PROBE_INTERVAL_MS,
+  timeoutMs: READINESS_PROBE_TIMEOUT_MS
+});
+
+// Gauges over the live server state, read on each scrape
+metrics.register(new Gauge('mcp_sse_connections', 'Open legacy SSE connections', () => activeConnections.size));
+metrics.register(new Gauge('mcp_sessions', 'Open MCP sessions by transport', () => {
+  return Object.entries(sessions.stats().byTransport).map(([transport, value]) => ({ labels: { transport }, value }));
+}));
+metrics.register(new Gauge('mcp_jobs', 'Background jobs by state', () => {
+  const { queued, running } = jobs.getStats();
+  return [{ labels: { state: 'queued' }, value: queued }, { labels: { state: 'running' }, value: running }];
+}));
+metrics.register(new Gauge('pollinations_circuit_open', 'Whether the circuit breaker for an upstream is open (1) or not (0)', () => {
+  return Object.entries(pollinations.getHealth())
+    .map(([upstream, health]) => ({ labels: { upstream }, value: health.state === CIRCUIT_STATES.OPEN ? 1 : 0 }));
+}));
+metrics.register(new Gauge('mcp_ready', 'Whether the server reports ready on /readyz (1) or not (0)', () => (readiness.isReady() ? 1 : 0)));
+metrics.register(new Gauge('process_uptime_seconds', 'Seconds since the process started', () => process.uptime()));
+metrics.register(new Gauge('process_resident_memory_bytes', 'Resident memory size in bytes', () => process.memoryUsage().rss));
+
+app.get('/metrics', (req, res) => {
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8').send(metrics.render());
+});
+
+// Liveness only says the process is serving requests; restarting can't fix an upstream outage
+app.get('/livez', (req, res) => {
+  res.json({ status: 'ok' });
+});
+
+// Readiness says whether to route traffic here: the upstream is reachable and we aren't shutting down
+app.get('/readyz', (req, res) => {
+  const status = readiness.getStatus();
+  res.status(status.ready ? 200 : 503).json({ status: status.ready ? 'ready' : 'not ready', ...status });
+});
+
 // Health check
+function healthStatus() {
+  if (readiness.shuttingDown) {
+    return 'shutting_down';
+  }
+  const circuitOpen = Object.values(pollinations.getHealth()).some(upstream => upstream.state === CIRCUIT_STATES.OPEN);
+  return circuitOpen || readiness.upstream.reachable === false ? 'degraded' : 'healthy';
+}
+
 app.get('/health', (req, res) => {
   res.json({
-    status: 'healthy',
+    status: healthStatus(),
     timestamp: new Date().toISOString(),
     port: PORT,
     uptime: process.uptime(),
     activeConnections: activeConnections.size,
+    sessions: sessions.stats(),
+    rateLimits: rateLimiter.getUsage(),
+    imageCache: imageCache.getStats(),
+    audioCache: audioCache.getStats(),
+    jobs: jobs.getStats(),
+    upstream: pollinations.getHealth(),
+    readiness: readiness.getStatus(),
     version: '1.0.0'
   });
 });
 
+// Cached media by hash. Hashes are keyed with the cache secret and only handed to the
+// caller that made the request, so they work as capability URLs without auth.
+function serveCachedMedia(cache, label) {
+  return async (req, res) => {
+    const { hash } = req.params;
+    if (!MediaCache.isValidHash(hash)) {
+      return res.status(400).json({ error: 'Bad request', message: `Invalid ${label.toLowerCase()} hash` });
+    }
+
+    const entry = await cache.touch(hash);
+    if (!entry) {
+      return res.status(404).json({ error: 'Not found', message: `${label} ${hash} is not cached` });
+    }
+
+    res.sendFile(cache.filePath(hash), {
+      headers: {
+        'Content-Type': entry.contentType,
+        'Cache-Control': 'public, max-age=31536000, immutable'
+      }
+    }, (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({ error: 'Not found', message: `${label} ${hash} is not cached` });
+      }
+    });
+  };
+}
+
+app.get('/images/:hash', serveCachedMedia(imageCache, 'Image'));
+app.get('/audio/:hash', serveCachedMedia(audioCache, 'Audio'));
+
+// Job API for HTTP clients that can't wait on a slow generation. Jobs belong to the
+// API key that submitted them, so any connection with that key can poll them.
+const JOB_ERROR_STATUS = { [-32602]: 400, [-32005]: 403, [-32006]: 429, [-32007]: 422 };
+const JOB_ERROR_LABELS = { 400: 'Bad request', 403: 'Forbidden', 422: 'Content policy violation', 429: 'Too many requests' };
+
+function sendJobError(res, error) {
+  if (!(error instanceof McpError)) {
+    logger.error('Job request failed', { error });
+    return res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+  const status = JOB_ERROR_STATUS[error.code] || 400;
+  if (error.data?.retryAfter) {
+    res.set('Retry-After', String(error.data.retryAfter));
+  }
+  res.status(status).json({
+    error: JOB_ERROR_LABELS[status],
+    message: error.message,
+    code: error.code,
+    ...(error.data !== undefined && { data: error.data })
+  });
+}
+
+app.post('/jobs', authenticate, async (req, res) => {
+  const { tool, arguments: args, webhook_url: webhookUrl, webhook_secret: webhookSecret } = req.body || {};
+  try {
+    const job = await jobs.submit(tool, args, {
+      auth: req.auth,
+      remoteAddress: req.ip,
+      baseUrl: requestBaseUrl(req)
+    }, { webhookUrl, webhookSecret });
+    res.status(202).location(`/jobs/${job.id}`).json(jobs.toJSON(job));
+  } catch (error) {
+    sendJobError(res, error);
+  }
+});
+
+app.get('/jobs/:id', authenticate, async (req, res) => {
+  try {
+    const job = await jobs.get(req.params.id, req.auth?.name);
+    if (!job) {
+      return res.status(404).json({ error: 'Not found', message: `Job ${req.params.id} not found` });
+    }
+    res.json(jobs.toJSON(job));
+  } catch (error) {
+    sendJobError(res, error);
+  }
+});
+
+app.delete('/jobs/:id', authenticate, async (req, res) => {
+  try {
+    const job = await jobs.cancel(req.params.id, req.auth?.name);
+    if (!job) {
+      return res.status(404).json({ error: 'Not found', message: `Job ${req.params.id} not found` });
+    }
+    res.json(jobs.toJSON(job));
+  } catch (error) {
+    sendJobError(res, error);
+  }
+});
+
 // MCP-compliant SSE endpoint
-app.get('/sse', (req, res) => {
+app.get('/sse', authenticate, (req, res) => {
   const connectionId = `mcp-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-  console.log(`[${connectionId}] New MCP SSE connection from ${req.ip}`);
+  const session = sessions.create('sse', { id: connectionId, auth: req.auth, remoteAddress: req.ip, baseUrl: requestBaseUrl(req) });
+  const log = logger.child({ sessionId: connectionId });
+  log.info('SSE connection opened', { remoteAddress: req.ip });
 
   res.writeHead(200, {
     'Content-Type': 'text/event-stream',
     'Cache-Control': 'no-cache',
     'Connection': 'keep-alive',
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Cache-Control, Authorization',
     'X-Accel-Buffering': 'no'
   });
 
   const newConnection = {
     res,
     connectionId,
+    session,
     connected: true,
-    lastPing: Date.now()
+    lastPing: Date.now(),
+    keepAlive: null
   };
   activeConnections.set(connectionId, newConnection);
 
-  console.log(`[${connectionId}] SSE connection established`);
+  // Server-to-client messages (responses, notifications) travel as 'mcp' events
+  session.send = (message) => {
+    if (!newConnection.connected || res.destroyed) {
+      return false;
+    }
+    res.write(`event: mcp\ndata: ${JSON.stringify(message)}\n\n`);
+    return true;
+  };
 
   // Send connection_ready event to the client
   if (newConnection.connected && !newConnection.res.destroyed) {
     newConnection.res.write(`event: system\ndata: ${JSON.stringify({ type: "connection_ready", connectionId })}\n\n`);
-    console.log(`[${connectionId}] Sent connection_ready event.`);
+    log.debug('Sent connection_ready event');
   }
 
-  const keepAlive = setInterval(() => {
+  newConnection.keepAlive = setInterval(() => {
     const connection = activeConnections.get(connectionId);
     if (connection && connection.connected && !connection.res.destroyed) {
       connection.res.write(`: keepalive ${Date.now()}\n\n`);
       connection.lastPing = Date.now();
     } else {
-      clearInterval(keepAlive);
-      activeConnections.delete(connectionId);
+      sessions.close(connectionId, 'stream gone');
     }
   }, 10000);
 
+  // Closing the session also drops the connection entry and its keepalive
   req.on('close', () => {
-    console.log(`[${connectionId}] SSE connection closed`);
-    const connection = activeConnections.get(connectionId);
-    if (connection) {
-      connection.connected = false;
-    }
-    clearInterval(keepAlive);
-    activeConnections.delete(connectionId);
+    log.info('SSE connection closed');
+    sessions.close(connectionId, 'client disconnected');
   });
 
   req.on('error', (error) => {
-    console.error(`[${connectionId}] SSE connection error:`, error);
-    const connection = activeConnections.get(connectionId);
-    if (connection) {
-      connection.connected = false;
-    }
-    clearInterval(keepAlive);
-    activeConnections.delete(connectionId);
+    log.error('SSE connection error', { error });
+    sessions.close(connectionId, 'connection error');
   });
 
   res.on('error', (error) => {
-    console.error(`[${connectionId}] SSE response error:`, error);
-    const connection = activeConnections.get(connectionId);
-    if (connection) {
-      connection.connected = false;
-    }
-    clearInterval(keepAlive);
-    activeConnections.delete(connectionId);
+    log.error('SSE response error', { error });
+    sessions.close(connectionId, 'response error');
   });
 });
 
 // Handle MCP messages via POST to /sse
-app.post('/sse', async (req, res) => {
+app.post('/sse', authenticate, async (req, res) => {
   try {
     const message = req.body;
     const connectionId = req.headers['x-connection-id']; // Use specific header
 
-    console.log(`[${connectionId || 'unknown'}] Received MCP POST to /sse:`, JSON.stringify(message, null, 2));
+    logger.info('Received MCP POST to /sse', { sessionId: connectionId, method: message?.method, rpcId: message?.id });
 
     if (!message || !message.jsonrpc || message.jsonrpc !== '2.0') {
       return res.status(400).json({
@@ -412,8 +4331,8 @@ app.post('/sse', async (req, res) => {
       });
     }
 
-    const sseBoundMethods = ['initialize', 'tools/list', 'tools/call'];
-    const requiresSseDelivery = sseBoundMethods.includes(message.method);
+    // Every request is answered over the stream; only notifications are handled in-band
+    const requiresSseDelivery = typeof message.method === 'string' && message.id !== undefined && message.id !== null;
 
     if (requiresSseDelivery) {
       if (!connectionId) {
@@ -439,8 +4358,14 @@ app.post('/sse', async (req, res) => {
       }
     }
 
-    const processorConnectionContext = connectionId || `http-post-${message.method || 'unknown'}-${Date.now()}`;
-    const responseFromProcessor = await mcpProcessor.processMessage(message, processorConnectionContext);
+    const session = connectionId ? sessions.get(connectionId) : null;
+    if (session && !isSessionOwner(session, req.auth)) {
+      return jsonRpcError(res, 403, message.id, -32005, 'Forbidden: connection belongs to a different API key');
+    }
+    if (session) {
+      session.lastActivity = Date.now();
+    }
+    const responseFromProcessor = await mcpProcessor.processMessage(message, session);
 
     if (responseFromProcessor) {
       const connection = activeConnections.get(connectionId);
@@ -452,9 +4377,9 @@ app.post('/sse', async (req, res) => {
           result: { status: "received", messageId: message.id || null }
         });
         connection.res.write(`event: mcp\ndata: ${JSON.stringify(responseFromProcessor)}\n\n`);
-        console.log(`[${connectionId}] MCP response for ${message.method} (ID: ${message.id}) sent via SSE.`);
+        logger.info('MCP response sent via SSE', { sessionId: connectionId, method: message.method, rpcId: message.id });
       } else if (requiresSseDelivery) {
-        console.error(`[${connectionId}] SSE connection for ${message.method} (ID: ${message.id}) lost or invalid before message dispatch.`);
+        logger.error('SSE connection lost before response dispatch', { sessionId: connectionId, method: message.method, rpcId: message.id });
         if (!res.headersSent) {
             res.status(500).json({
                 jsonrpc: '2.0',
@@ -463,18 +4388,20 @@ app.post('/sse', async (req, res) => {
             });
         }
       } else {
-        console.warn(`[${processorConnectionContext}] Response for ${message.method} (ID: ${message.id}) will be sent via HTTP body as it's not an SSE-exclusive method or no valid SSE target.`);
+        logger.debug('MCP response sent via HTTP body', { sessionId: connectionId, method: message.method, rpcId: message.id });
         res.json(responseFromProcessor);
       }
+    } else if (message.id !== undefined && message.id !== null) {
+      logger.info('MCP request was cancelled; sending 204 No Content', { sessionId: connectionId, method: message.method, rpcId: message.id });
+      res.status(204).send();
     } else {
-      console.log(`[${processorConnectionContext}] Processed notification: ${message.method} (ID: ${message.id}). Sending 204 No Content.`);
+      logger.debug('Processed notification', { sessionId: connectionId, method: message.method });
       res.status(204).send();
     }
 
   } catch (error) {
     const messageId = req.body?.id || null;
-    const method = req.body?.method || 'unknown method';
-    console.error(`[${req.headers['x-connection-id'] || 'unknown'}] Error processing MCP POST for ${method} (ID: ${messageId}):`, error);
+    logger.error('Error processing MCP POST to /sse', { sessionId: req.headers['x-connection-id'], method: req.body?.method, rpcId: messageId, error });
 
     if (!res.headersSent) {
       res.status(500).json({
@@ -491,12 +4418,29 @@ app.post('/sse', async (req, res) => {
 });
 
 // Simple HTTP endpoint for direct MCP communication (alternative)
-app.post('/mcp', async (req, res) => {
+app.post('/mcp', authenticate, async (req, res) => {
   try {
     const message = req.body;
-    console.log('Direct MCP message:', JSON.stringify(message, null, 2));
+    logger.info('Received MCP POST to /mcp', { method: message?.method, rpcId: message?.id });
+
+    // /mcp is stateless: each request runs in a throwaway session that skips the handshake.
+    // An initialize is still answered, so clients that handshake over /mcp keep working.
+    const session = sessions.create('direct', { auth: req.auth, remoteAddress: req.ip, baseUrl: requestBaseUrl(req) });
+    if (message?.method !== 'initialize') {
+      sessions.markInitialized(session, {
+        protocolVersion: negotiateProtocolVersion(req.headers['mcp-protocol-version'])
+      });
+    }
+
+    // A client that hangs up before the answer cancels the work
+    res.on('close', () => sessions.close(session.id, 'client disconnected'));
 
-    const response = await mcpProcessor.processMessage(message, 'direct');
+    let response;
+    try {
+      response = await mcpProcessor.processMessage(message, session);
+    } finally {
+      sessions.close(session.id, 'request complete');
+    }
 
     if (response) {
       res.json(response);
@@ -505,7 +4449,7 @@ app.post('/mcp', async (req, res) => {
     }
 
   } catch (error) {
-    console.error('Error processing direct MCP message:', error);
+    logger.error('Error processing MCP POST to /mcp', { error });
     res.status(500).json({
       jsonrpc: '2.0',
       id: req.body?.id || null,
@@ -518,8 +4462,211 @@ app.post('/mcp', async (req, res) => {
   }
 });
 
+// Streamable HTTP transport (MCP 2025-03-26+)
+// POST carries client messages and answers with JSON or a per-request SSE stream,
+// GET opens a stream for server-initiated messages, DELETE ends the session.
+// Resolve the session named by the Mcp-Session-Id header, answering with an error when it can't
+function resolveStreamableSession(req, res, id) {
+  const sessionId = req.headers['mcp-session-id'];
+  if (!sessionId) {
+    jsonRpcError(res, 400, id, -32000, 'Bad Request: Mcp-Session-Id header is required');
+    return null;
+  }
+
+  const session = sessions.get(sessionId);
+  if (!session || session.transport !== 'streamable-http') {
+    jsonRpcError(res, 404, id, -32001, `Session not found: '${sessionId}'`);
+    return null;
+  }
+
+  if (!isSessionOwner(session, req.auth)) {
+    jsonRpcError(res, 403, id, -32005, 'Forbidden: session belongs to a different API key');
+    return null;
+  }
+
+  const protocolVersion = req.headers['mcp-protocol-version'];
+  if (protocolVersion && !SUPPORTED_PROTOCOL_VERSIONS.includes(protocolVersion)) {
+    jsonRpcError(res, 400, id, -32000, `Bad Request: Unsupported MCP-Protocol-Version '${protocolVersion}'`);
+    return null;
+  }
+
+  session.lastActivity = Date.now();
+  return session;
+}
+
+app.post(STREAMABLE_HTTP_PATH, authenticate, async (req, res) => {
+  const body = req.body;
+  const isBatch = Array.isArray(body);
+  const messages = isBatch ? body : [body];
+
+  if (messages.length === 0 || messages.some(message => !message || message.jsonrpc !== '2.0')) {
+    return jsonRpcError(res, 400, null, -32600, 'Invalid Request - missing or invalid jsonrpc version or malformed message body');
+  }
+
+  let session;
+  if (messages.some(message => message.method === 'initialize')) {
+    if (isBatch) {
+      return jsonRpcError(res, 400, null, -32600, 'Invalid Request - initialize must not be part of a batch');
+    }
+    session = sessions.create('streamable-http', { auth: req.auth, remoteAddress: req.ip, baseUrl: requestBaseUrl(req) });
+    session.stream = null;
+    session.keepAlive = null;
+    // Messages not tied to a request go out on the GET stream, when one is open
+    session.send = (message) => {
+      if (!session.stream || session.stream.destroyed) {
+        return false;
+      }
+      session.stream.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`);
+      return true;
+    };
+  } else {
+    session = resolveStreamableSession(req, res, isBatch ? null : body.id);
+    if (!session) {
+      return;
+    }
+  }
+
+  const sessionId = session.id;
+  logger.info(`Received MCP POST to ${STREAMABLE_HTTP_PATH}`, { sessionId, methods: messages.map(message => message.method || 'response') });
+
+  try {
+    const requests = messages.filter(message => message.method && message.id !== undefined && message.id !== null);
+
+    // Notifications and responses only: process them and acknowledge without a body
+    if (requests.length === 0) {
+      for (const message of messages) {
+        if (message.method) {
+          await mcpProcessor.processMessage(message, session);
+        }
+      }
+      return res.status(202).end();
+    }
+
+    res.setHeader('Mcp-Session-Id', sessionId);
+
+    // Tool calls can take a while, so stream them when the client accepts SSE; everything else is plain JSON
+    const acceptsStream = (req.headers.accept || '').includes('text/event-stream');
+    const useStream = acceptsStream && requests.some(message => message.method === 'tools/call');
+
+    if (useStream) {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+    }
+
+    // Notifications about a streamed request go out on that request's stream
+    const notify = useStream
+      ? (notification) => {
+        if (res.destroyed) {
+          return false;
+        }
+        res.write(`event: message\ndata: ${JSON.stringify(notification)}\n\n`);
+        return true;
+      }
+      : session.send;
+
+    const responses = [];
+    await Promise.all(messages.map(async (message) => {
+      if (!message.method) {
+        return;
+      }
+      const response = await mcpProcessor.processMessage(message, session, { notify });
+      if (!response) {
+        return;
+      }
+      if (useStream) {
+        if (!res.destroyed) {
+          res.write(`event: message\ndata: ${JSON.stringify(response)}\n\n`);
+        }
+      } else {
+        responses.push(response);
+      }
+    }));
+
+    if (body.method === 'initialize') {
+      const initResponse = responses[0];
+      if (!initResponse || initResponse.error) {
+        sessions.close(sessionId, 'initialize failed');
+        return res.status(400).json(initResponse);
+      }
+      logger.info('Streamable HTTP session created', { sessionId, protocolVersion: session.protocolVersion });
+    }
+
+    if (useStream) {
+      res.end();
+    } else if (responses.length === 0) {
+      // Every request in the message was cancelled
+      res.status(202).end();
+    } else {
+      res.json(isBatch ? responses : responses[0]);
+    }
+  } catch (error) {
+    logger.error(`Error processing MCP POST to ${STREAMABLE_HTTP_PATH}`, { sessionId, error });
+    if (!res.headersSent) {
+      jsonRpcError(res, 500, isBatch ? null : body.id, -32603, 'Internal server error');
+    } else if (!res.destroyed) {
+      res.end();
+    }
+  }
+});
+
+app.get(STREAMABLE_HTTP_PATH, authenticate, (req, res) => {
+  if (!(req.headers.accept || '').includes('text/event-stream')) {
+    return jsonRpcError(res, 406, null, -32000, 'Not Acceptable: client must accept text/event-stream');
+  }
+
+  const session = resolveStreamableSession(req, res, null);
+  if (!session) {
+    return;
+  }
+
+  if (session.stream && !session.stream.destroyed) {
+    return jsonRpcError(res, 409, null, -32000, 'Conflict: a server-initiated stream is already open for this session');
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'Mcp-Session-Id': session.id,
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(': stream open\n\n');
+
+  session.stream = res;
+  session.keepAlive = setInterval(() => {
+    if (!res.destroyed) {
+      res.write(`: keepalive ${Date.now()}\n\n`);
+    }
+  }, 10000);
+
+  logger.info('Server-initiated stream opened', { sessionId: session.id });
+
+  req.on('close', () => {
+    logger.info('Server-initiated stream closed', { sessionId: session.id });
+    clearInterval(session.keepAlive);
+    if (session.stream === res) {
+      session.stream = null;
+    }
+  });
+});
+
+app.delete(STREAMABLE_HTTP_PATH, authenticate, (req, res) => {
+  const session = resolveStreamableSession(req, res, null);
+  if (!session) {
+    return;
+  }
+
+  sessions.close(session.id, 'terminated by client');
+  logger.info('Streamable HTTP session terminated by client', { sessionId: session.id });
+  res.status(204).end();
+});
+
 // Test SSE endpoint
-app.get('/test-sse', (req, res) => {
+app.get('/test-sse', authenticate, (req, res) => {
   res.send(`
     <!DOCTYPE html>
     <html>
@@ -546,7 +4693,9 @@ app.get('/test-sse', (req, res) => {
         const statusSpan = document.getElementById('status');
         const connectionIdDisplaySpan = document.getElementById('connectionIdDisplay');
 
-        const eventSource = new EventSource('/sse');
+        // When the server requires an API key, open this page with ?api_key=... and it is passed along
+        const apiKey = new URLSearchParams(window.location.search).get('api_key');
+        const eventSource = new EventSource(apiKey ? '/sse?api_key=' + encodeURIComponent(apiKey) : '/sse');
 
         function addMessage(msg, type = 'info') { // type can be 'info', 'error', 'success', 'system', 'mcp', 'system-warn', 'http-ack'
           const div = document.createElement('div');
@@ -625,6 +4774,9 @@ app.get('/test-sse', (req, res) => {
             'Content-Type': 'application/json',
             'X-Connection-ID': connectionId
           };
+          if (apiKey) {
+            headers['X-API-Key'] = apiKey;
+          }
 
           addMessage(\`Sending POST to /sse (X-Connection-ID: \${connectionId}): \${JSON.stringify(message)}\`, 'info');
 
@@ -704,16 +4856,16 @@ app.get('/api/test', (req, res) => {
     message: 'API test successful',
     timestamp: new Date().toISOString(),
     port: PORT,
-    endpoints: ['/', '/health', '/sse', '/mcp', '/api/test', '/test-sse'],
-    tools: ['generate_image', 'generate_text', 'list_models'],
+    endpoints: ['/', '/health', '/sse', '/mcp', STREAMABLE_HTTP_PATH, '/images/:hash', '/audio/:hash', '/jobs', '/api/test', '/test-sse'],
+    tools: toolRegistry.names(),
     activeConnections: activeConnections.size,
-    mcpInitialized: mcpProcessor.initialized
+    sessions: sessions.stats()
   });
 });
 
 // Error handling
 app.use((error, req, res, next) => {
-  console.error('Unhandled error:', error);
+  logger.error('Unhandled error', { error });
   res.status(500).json({
     error: 'Internal server error',
     message: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
@@ -725,7 +4877,7 @@ app.use((req, res) => {
   res.status(404).json({
     error: 'Not found',
     message: `Endpoint ${req.method} ${req.path} not found`,
-    availableEndpoints: ['/', '/health', '/sse', '/mcp', '/api/test', '/test-sse']
+    availableEndpoints: ['/', '/health', '/livez', '/readyz', '/metrics', '/sse', '/mcp', STREAMABLE_HTTP_PATH, '/images/:hash', '/audio/:hash', '/jobs', '/api/test', '/test-sse']
   });
 });
 
@@ -733,42 +4885,172 @@ app.use((req, res) => {
 let server;
 
 function shutdown() {
-  console.log('Shutting down gracefully...');
+  logger.info('Shutting down gracefully');
+  readiness.shuttingDown = true;
 
-  for (const [connectionId, connection] of activeConnections) {
-    if (connection.connected && !connection.res.destroyed) {
-      connection.res.end();
-    }
+  for (const sessionId of [...sessions.sessions.keys()]) {
+    sessions.close(sessionId, 'server shutdown');
   }
 
+  // Pending audit entries are flushed before exiting
+  const exit = code => auditLog.writing.then(() => process.exit(code));
   if (server) {
     server.close((err) => {
       if (err) {
-        console.error('Error during shutdown:', err);
-        process.exit(1);
+        logger.error('Error during shutdown', { error: err });
+        return exit(1);
       }
-      console.log('Server closed successfully');
-      process.exit(0);
+      logger.info('Server closed successfully');
+      exit(0);
     });
   } else {
-    process.exit(0);
+    exit(0);
   }
 }
 
 process.on('SIGTERM', shutdown);
 process.on('SIGINT', shutdown);
 
-// Start server
-server = app.listen(PORT, '0.0.0.0', () => {
-  console.log(`🚀 Pollinations MCP Server running on port ${PORT}`);
-  console.log(`📡 MCP SSE Endpoint: /sse`);
-  console.log(`📡 Direct MCP Endpoint: /mcp`);
-  console.log(`📡 Test Page: /test-sse`);
-  console.log(`🎯 Available tools: generate_image, generate_text, list_models`);
-  console.log(`🌐 Environment: ${process.env.NODE_ENV || 'development'}`);
-}).on('error', (err) => {
-  console.error('❌ Server failed to start:', err);
-  process.exit(1);
+// Stdio transport: newline-delimited JSON-RPC on stdin/stdout for locally spawned servers
+function startStdioTransport() {
+  const session = sessions.create('stdio', { id: 'stdio' });
+  const input = readline.createInterface({ input: process.stdin });
+  let pending = 0;
+  let inputClosed = false;
+
+  let outputClosed = false;
+
+  const send = (message) => {
+    if (outputClosed) {
+      return false;
+    }
+    process.stdout.write(`${JSON.stringify(message)}\n`);
+    return true;
+  };
+  session.send = send;
+
+  // The host closing its end of the pipe ends the session like closing stdin does
+  process.stdout.on('error', (error) => {
+    if (error.code !== 'EPIPE') {
+      logger.error('stdout error', { error });
+    }
+    if (!outputClosed) {
+      outputClosed = true;
+      shutdown();
+    }
+  });
+
+  const handleMessage = async (message) => {
+    if (!message || message.jsonrpc !== '2.0' || !message.method) {
+      // Responses to server-initiated requests need no reply
+      if (message && message.jsonrpc === '2.0' && (message.result !== undefined || message.error !== undefined)) {
+        return null;
+      }
+      return {
+        jsonrpc: '2.0',
+        id: message?.id ?? null,
+        error: {
+          code: -32600,
+          message: 'Invalid Request - missing or invalid jsonrpc version or malformed message body'
+        }
+      };
+    }
+    session.lastActivity = Date.now();
+    return mcpProcessor.processMessage(message, session);
+  };
+
+  // Each line is its own request for log correlation
+  input.on('line', line => withLogContext({ requestId: crypto.randomUUID() }, async () => {
+    if (!line.trim()) {
+      return;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(line);
+    } catch (error) {
+      send({ jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error', data: error.message } });
+      return;
+    }
+
+    pending++;
+    try {
+      if (Array.isArray(payload)) {
+        const responses = (await Promise.all(payload.map(handleMessage))).filter(Boolean);
+        if (responses.length > 0) {
+          send(responses);
+        }
+      } else {
+        const response = await handleMessage(payload);
+        if (response) {
+          send(response);
+        }
+      }
+    } catch (error) {
+      logger.error('Error processing stdio MCP message', { error });
+      send({ jsonrpc: '2.0', id: payload?.id ?? null, error: { code: -32603, message: 'Internal error', data: error.message } });
+    } finally {
+      pending--;
+      if (inputClosed && pending === 0) {
+        shutdown();
+      }
+    }
+  }));
+
+  // The client closing stdin is the stdio way of ending the session; let in-flight requests finish first
+  input.on('close', () => {
+    logger.info('stdin closed');
+    inputClosed = true;
+    if (pending === 0) {
+      shutdown();
+    }
+  });
+
+  logger.info('Pollinations MCP Server running on stdio', { tools: toolRegistry.names() });
+}
+
+imageCache.init();
+audioCache.init();
+jobs.recover().catch(error => logger.error('Job recovery failed', { error }));
+
+// Tool schemas embed the model lists, so a catalogue change changes the tool list
+modelCatalog.on('change', () => {
+  sessions.broadcast({ jsonrpc: '2.0', method: 'notifications/tools/list_changed' });
+});
+
+// New assets change the owner's resource list and the collections they land in
+history.on('record', (entries, owner) => {
+  const isOwner = session => (session.auth?.name || null) === owner;
+  sessions.broadcast({ jsonrpc: '2.0', method: 'notifications/resources/list_changed' }, isOwner);
+
+  const collections = [...new Set(entries.map(entry => `${RESOURCE_SCHEME}${HISTORY_COLLECTIONS[entry.type].collection}`))];
+  for (const uri of collections) {
+    sessions.broadcast(
+      { jsonrpc: '2.0', method: 'notifications/resources/updated', params: { uri } },
+      session => isOwner(session) && session.subscriptions.has(uri)
+    );
+  }
 });
+modelCatalog.refresh();
+setInterval(() => modelCatalog.refresh(), MODEL_REFRESH_INTERVAL_MS).unref();
+
+// Start server
+if (STDIO_MODE) {
+  startStdioTransport();
+} else {
+  readiness.start();
+  server = app.listen(PORT, '0.0.0.0', () => {
+    logger.info(`Pollinations MCP Server running on port ${PORT}`, {
+      endpoints: { sse: '/sse', direct: '/mcp', streamableHttp: STREAMABLE_HTTP_PATH, testPage: '/test-sse' },
+      tools: toolRegistry.names(),
+      environment: process.env.NODE_ENV || 'development',
+      authentication: AUTH_ENABLED ? `${apiKeys.size} API key(s)` : 'disabled',
+      auditLog: auditLog.enabled ? AUDIT_LOG_FILE : 'disabled'
+    });
+  }).on('error', (err) => {
+    logger.error('Server failed to start', { error: err });
+    process.exit(1);
+  });
+}
 
 module.exports = app;
@@ -0,0 +1,26 @@
+// cancel_job: stop a queued or running background job
+
+module.exports = {
+  name: 'cancel_job',
+  scope: 'jobs',
+  description: 'Cancel a queued or running job started with submit_job',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      job_id: {
+        type: 'string',
+        minLength: 1,
+        description: 'ID returned by submit_job'
+      }
+    },
+    required: ['job_id']
+  },
+
+  async handler(args, { services, session }) {
+    const job = await services.jobs.cancel(args.job_id, session?.auth?.name);
+    if (!job) {
+      throw new Error(`Job not found: ${args.job_id}`);
+    }
+    return { result: services.jobs.toJSON(job), metadata: {} };
+  }
+};
@@ -0,0 +1,106 @@
+// chat_completion: multi-turn chat with system prompts and sampling parameters through
+// Pollinations' OpenAI-compatible endpoint
+
+module.exports = {
+  name: 'chat_completion',
+  scope: 'text',
+  moderatedFields: ['messages.*.content'],
+  description: 'Multi-turn chat with system prompts, message history and sampling parameters using Pollinations AI language models',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      messages: {
+        type: 'array',
+        minItems: 1,
+        description: 'Conversation so far, oldest first',
+        items: {
+          type: 'object',
+          properties: {
+            role: {
+              type: 'string',
+              enum: ['system', 'user', 'assistant']
+            },
+            content: {
+              type: 'string'
+            }
+          },
+          required: ['role', 'content']
+        }
+      },
+      model: {
+        type: 'string',
+        description: 'Language model to use for generation',
+        default: 'openai'
+      },
+      temperature: {
+        type: 'number',
+        minimum: 0,
+        maximum: 2,
+        description: 'Sampling temperature between 0 and 2 (optional)'
+      },
+      top_p: {
+        type: 'number',
+        minimum: 0,
+        maximum: 1,
+        description: 'Nucleus sampling probability mass between 0 and 1 (optional)'
+      },
+      seed: {
+        type: 'integer',
+        minimum: 0,
+        description: 'Random seed for reproducible results (optional)'
+      },
+      max_tokens: {
+        type: 'integer',
+        minimum: 1,
+        description: 'Maximum number of tokens to generate (optional)'
+      },
+      json_mode: {
+        type: 'boolean',
+        description: 'Ask the model to respond with a JSON object (default: false)',
+        default: false
+      }
+    },
+    required: ['messages']
+  },
+
+  async handler(args, context) {
+    const { services, signal } = context;
+    const options = {
+      model: args.model,
+      temperature: args.temperature,
+      topP: args.top_p,
+      seed: args.seed,
+      maxTokens: args.max_tokens,
+      jsonMode: args.json_mode,
+      signal
+    };
+
+    const onDelta = services.createTextProgressReporter(context);
+    let result;
+    if (onDelta) {
+      result = await services.pollinations.streamChatCompletion(args.messages, options, onDelta);
+      onDelta.flush();
+    } else {
+      result = await services.pollinations.chatCompletion(args.messages, options);
+    }
+
+    return {
+      result,
+      metadata: {
+        model: args.model || 'openai',
+        messageCount: args.messages.length,
+        streamed: Boolean(onDelta)
+      }
+    };
+  },
+
+  history(toolResult, args) {
+    const lastUserMessage = args.messages.filter(message => message.role === 'user').pop();
+    return [{
+      type: 'text',
+      text: toolResult.result.content,
+      mimeType: args.json_mode ? 'application/json' : 'text/plain',
+      description: lastUserMessage?.content
+    }];
+  }
+};
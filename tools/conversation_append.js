@@ -0,0 +1,86 @@
+// conversation_append: add a message to a thread and generate the assistant reply
+// from the stored history
+
+module.exports = {
+  name: 'conversation_append',
+  scope: 'text',
+  moderatedFields: ['content'],
+  description: 'Add a message to a conversation thread and, for user messages, generate the assistant reply from the stored history',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      conversation_id: {
+        type: 'string',
+        minLength: 1,
+        description: 'ID returned by conversation_create'
+      },
+      content: {
+        type: 'string',
+        minLength: 1,
+        description: 'Message text'
+      },
+      role: {
+        type: 'string',
+        description: 'Role of the message author (default: user)',
+        enum: ['system', 'user', 'assistant'],
+        default: 'user'
+      },
+      generate: {
+        type: 'boolean',
+        description: 'Generate and store the assistant reply after a user message (default: true)',
+        default: true
+      },
+      temperature: {
+        type: 'number',
+        minimum: 0,
+        maximum: 2,
+        description: 'Sampling temperature between 0 and 2 (optional)'
+      },
+      seed: {
+        type: 'integer',
+        minimum: 0,
+        description: 'Random seed for reproducible results (optional)'
+      }
+    },
+    required: ['conversation_id', 'content']
+  },
+
+  async handler(args, { services, session, signal }) {
+    const { conversations, pollinations } = services;
+    const conversation = await conversations.get(args.conversation_id, session?.auth?.name);
+    if (!conversation) {
+      throw new Error(`Conversation not found: ${args.conversation_id}`);
+    }
+
+    const message = { role: args.role || 'user', content: args.content };
+    let reply = null;
+
+    // The message is only stored once the reply succeeds, so a failed call leaves the thread untouched
+    if (message.role === 'user' && args.generate !== false) {
+      const history = conversations.truncate([...conversation.messages, message], conversation.settings);
+      reply = await pollinations.chatCompletion(
+        history.map(({ role, content }) => ({ role, content })),
+        { model: conversation.model, temperature: args.temperature, seed: args.seed, signal }
+      );
+      await conversations.append(conversation, [message, { role: 'assistant', content: reply.content }]);
+    } else {
+      await conversations.append(conversation, [message]);
+    }
+
+    return {
+      result: {
+        conversation: services.summarizeConversation(conversation),
+        reply
+      },
+      metadata: {
+        model: conversation.model
+      }
+    };
+  },
+
+  // Only generated replies are recorded, not the appended messages themselves
+  history(toolResult, args) {
+    const { reply } = toolResult.result;
+    return reply ? [{ type: 'text', text: reply.content, description: args.content }] : [];
+  }
+};
@@ -0,0 +1,55 @@
+// conversation_create: start a server-side conversation thread
+
+module.exports = {
+  name: 'conversation_create',
+  scope: 'text',
+  moderatedFields: ['system_prompt'],
+  description: 'Start a server-side conversation thread so follow-up messages don\'t need the full transcript',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      title: {
+        type: 'string',
+        description: 'Optional label for the conversation'
+      },
+      system_prompt: {
+        type: 'string',
+        description: 'System prompt kept at the start of the thread (optional)'
+      },
+      model: {
+        type: 'string',
+        description: 'Language model used for replies in this thread',
+        default: 'openai'
+      },
+      max_messages: {
+        type: 'integer',
+        minimum: 1,
+        description: 'Keep at most this many messages of history (default: server setting)'
+      },
+      max_tokens: {
+        type: 'integer',
+        minimum: 1,
+        description: 'Keep history within this estimated token budget (default: server setting)'
+      },
+      ttl_ms: {
+        type: 'integer',
+        minimum: 1000,
+        description: 'Delete the thread after this many milliseconds without activity (default: server setting)'
+      }
+    },
+    required: []
+  },
+
+  async handler(args, { services, session }) {
+    const result = await services.conversations.create({
+      title: args.title,
+      systemPrompt: args.system_prompt,
+      model: args.model,
+      maxMessages: args.max_messages,
+      maxTokens: args.max_tokens,
+      ttlMs: args.ttl_ms,
+      owner: session?.auth?.name
+    });
+    return { result, metadata: {} };
+  }
+};
@@ -0,0 +1,28 @@
+// conversation_delete: remove a thread
+
+module.exports = {
+  name: 'conversation_delete',
+  scope: 'text',
+  description: 'Delete a conversation thread',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      conversation_id: {
+        type: 'string',
+        minLength: 1,
+        description: 'ID returned by conversation_create'
+      }
+    },
+    required: ['conversation_id']
+  },
+
+  async handler(args, { services, session }) {
+    return {
+      result: {
+        deleted: await services.conversations.delete(args.conversation_id, session?.auth?.name),
+        conversationId: args.conversation_id
+      },
+      metadata: {}
+    };
+  }
+};
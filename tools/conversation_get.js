@@ -0,0 +1,26 @@
+// conversation_get: a thread with its full message history
+
+module.exports = {
+  name: 'conversation_get',
+  scope: 'text',
+  description: 'Get a conversation thread with its full message history',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      conversation_id: {
+        type: 'string',
+        minLength: 1,
+        description: 'ID returned by conversation_create'
+      }
+    },
+    required: ['conversation_id']
+  },
+
+  async handler(args, { services, session }) {
+    const conversation = await services.conversations.get(args.conversation_id, session?.auth?.name);
+    if (!conversation) {
+      throw new Error(`Conversation not found: ${args.conversation_id}`);
+    }
+    return { result: conversation, metadata: {} };
+  }
+};
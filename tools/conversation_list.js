@@ -0,0 +1,21 @@
+// conversation_list: summaries of the caller's active threads
+
+module.exports = {
+  name: 'conversation_list',
+  scope: 'text',
+  description: 'List the active conversation threads',
+  inputSchema: {
+    type: 'object',
+    properties: {},
+    required: []
+  },
+
+  async handler(args, { services, session }) {
+    const { conversations } = services;
+    const threads = await conversations.list(session?.auth?.name);
+    return {
+      result: threads.map(services.summarizeConversation),
+      metadata: {}
+    };
+  }
+};
@@ -0,0 +1,75 @@
+// describe_image: caption or answer questions about an image with a vision-capable
+// text model, sending the image as multimodal message content
+
+module.exports = {
+  name: 'describe_image',
+  scope: 'text',
+  modelInput: 'image',
+  moderatedFields: ['prompt'],
+  description: 'Describe, caption or answer questions about an image using a vision-capable language model',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      image: {
+        type: 'string',
+        minLength: 1,
+        description: 'Image to describe: an http(s) URL, data URL or base64 PNG/JPEG/GIF/WebP'
+      },
+      mime_type: {
+        type: 'string',
+        enum: ['image/png', 'image/jpeg', 'image/gif', 'image/webp'],
+        description: 'MIME type of bare base64 input (optional, detected from the bytes otherwise)'
+      },
+      prompt: {
+        type: 'string',
+        minLength: 1,
+        description: 'What to ask about the image',
+        default: 'Describe this image in detail.'
+      },
+      model: {
+        type: 'string',
+        description: 'Vision-capable language model to use',
+        default: 'openai'
+      },
+      max_tokens: {
+        type: 'integer',
+        minimum: 1,
+        description: 'Maximum number of tokens to generate (optional)'
+      }
+    },
+    required: ['image']
+  },
+
+  async handler(args, { services, signal }) {
+    const { modelCatalog, pollinations, McpError } = services;
+    if (!modelCatalog.supportsInput('text', args.model, 'image')) {
+      const visionModels = modelCatalog.names('text').filter(name => modelCatalog.supportsInput('text', name, 'image'));
+      throw new McpError(-32602, `Model '${args.model}' does not accept image input; use one of: ${visionModels.join(', ')}`);
+    }
+
+    const image = await services.loadInputImage(args.image, { mimeType: args.mime_type, signal });
+
+    // The validated bytes are sent as a data URL, so the model sees exactly what was checked
+    const result = await pollinations.chatCompletion([{
+      role: 'user',
+      content: [
+        { type: 'text', text: args.prompt },
+        { type: 'image_url', image_url: { url: image.dataUrl } }
+      ]
+    }], { model: args.model, maxTokens: args.max_tokens, signal });
+
+    return {
+      result,
+      metadata: {
+        model: args.model,
+        mimeType: image.mimeType,
+        imageBytes: image.size,
+        source: image.url ? 'url' : 'base64'
+      }
+    };
+  },
+
+  history(toolResult, args) {
+    return [{ type: 'text', text: toolResult.result.content, description: args.prompt }];
+  }
+};
@@ -0,0 +1,137 @@
+// generate_image: text-to-image through Pollinations, cached on disk and returned as
+// native MCP image content blocks
+
+// How the image is returned: 'inline' sends an image content block,
+// 'url' sends only a resource_link, 'both' sends both.
+const IMAGE_OUTPUT_MODES = ['inline', 'url', 'both'];
+
+// Dimensions Pollinations renders reliably
+const MIN_IMAGE_SIZE = 64;
+const MAX_IMAGE_SIZE = 2048;
+
+module.exports = {
+  name: 'generate_image',
+  scope: 'image',
+  // Argument paths checked by the moderation policy before the call
+  moderatedFields: ['prompt'],
+  description: 'Generate an image from a text prompt using Pollinations AI',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      prompt: {
+        type: 'string',
+        minLength: 1,
+        description: 'Text description of the image to generate'
+      },
+      width: {
+        type: 'integer',
+        minimum: MIN_IMAGE_SIZE,
+        maximum: MAX_IMAGE_SIZE,
+        description: `Image width in pixels, ${MIN_IMAGE_SIZE}-${MAX_IMAGE_SIZE} (default: 1024)`,
+        default: 1024
+      },
+      height: {
+        type: 'integer',
+        minimum: MIN_IMAGE_SIZE,
+        maximum: MAX_IMAGE_SIZE,
+        description: `Image height in pixels, ${MIN_IMAGE_SIZE}-${MAX_IMAGE_SIZE} (default: 1024)`,
+        default: 1024
+      },
+      model: {
+        type: 'string',
+        description: 'Image generation model to use',
+        default: 'flux'
+      },
+      seed: {
+        type: 'integer',
+        minimum: 0,
+        description: 'Random seed for reproducible results (optional)'
+      },
+      image: {
+        type: 'string',
+        minLength: 1,
+        description: 'Reference image to restyle or edit: an http(s) URL, data URL or base64 PNG/JPEG/GIF/WebP. Only for models that accept image input (e.g. kontext).'
+      },
+      render_prompt: {
+        type: 'object',
+        description: 'Use a prompt template instead of prompt: {"name": "<template>", "arguments": {...}}. The template may also set the model and other parameters; arguments passed here take precedence.',
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          arguments: { type: 'object', additionalProperties: { type: 'string' } }
+        },
+        required: ['name']
+      },
+      output: {
+        type: 'string',
+        description: 'How to return the image: inline bytes, source URL only, or both (default: both)',
+        enum: IMAGE_OUTPUT_MODES,
+        default: 'both'
+      }
+    },
+    // Either a prompt or a template to render one from
+    anyOf: [{ required: ['prompt'] }, { required: ['render_prompt'] }]
+  },
+
+  async handler(args, { services, session, signal }) {
+    const referenceImage = args.image
+      ? await services.resolveReferenceImage(args.image, args.model, signal)
+      : undefined;
+
+    const result = await services.generateImageCached(args.prompt, {
+      width: args.width,
+      height: args.height,
+      model: args.model,
+      seed: args.seed,
+      image: referenceImage,
+      signal
+    }, session);
+    return {
+      result,
+      metadata: {
+        prompt: args.prompt,
+        model: args.model || 'flux',
+        width: args.width || 1024,
+        height: args.height || 1024,
+        ...(referenceImage && { referenceImage }),
+        ...(args.render_prompt && { promptTemplate: args.render_prompt.name })
+      }
+    };
+  },
+
+  // Recorded in the generation history, readable as pollinations://images/{id}
+  history(toolResult) {
+    const { hash, url, contentType } = toolResult.result;
+    return [{ type: 'image', hash, url, mimeType: contentType, description: toolResult.metadata.prompt }];
+  },
+
+  // Images become native image blocks so clients can render them instead of
+  // receiving base64 inside text
+  formatContent(toolResult, args = {}) {
+    const output = IMAGE_OUTPUT_MODES.includes(args.output) ? args.output : 'both';
+    const { base64, ...image } = toolResult.result;
+    const content = [];
+
+    if (output !== 'url') {
+      content.push({ type: 'image', data: base64, mimeType: image.contentType });
+    }
+
+    // Companion text block carries the metadata without the image bytes
+    content.push({
+      type: 'text',
+      text: JSON.stringify({ ...toolResult, result: image }, null, 2)
+    });
+
+    // Prefer the short, stable link to our own cached copy over the upstream URL
+    if (output !== 'inline') {
+      content.push({
+        type: 'resource_link',
+        uri: image.localUrl || image.url,
+        name: 'generated-image',
+        description: toolResult.metadata.prompt,
+        mimeType: image.contentType
+      });
+    }
+
+    return content;
+  }
+};
@@ -0,0 +1,236 @@
+// generate_image_batch: many image variants in one call, from an explicit list or a
+// prompt × seeds × models matrix. Items run with bounded parallelism and fail individually.
+
+// Upper bounds per call; IMAGE_BATCH_MAX_CONCURRENCY caps what callers may ask for
+const MAX_BATCH_ITEMS = 50;
+const MAX_BATCH_CONCURRENCY = parseInt(process.env.IMAGE_BATCH_MAX_CONCURRENCY, 10) || 8;
+const DEFAULT_BATCH_CONCURRENCY = Math.min(4, MAX_BATCH_CONCURRENCY);
+
+const MIN_IMAGE_SIZE = 64;
+const MAX_IMAGE_SIZE = 2048;
+
+const imageOptionProperties = {
+  width: {
+    type: 'integer',
+    minimum: MIN_IMAGE_SIZE,
+    maximum: MAX_IMAGE_SIZE,
+    description: `Image width in pixels, ${MIN_IMAGE_SIZE}-${MAX_IMAGE_SIZE} (default: 1024)`
+  },
+  height: {
+    type: 'integer',
+    minimum: MIN_IMAGE_SIZE,
+    maximum: MAX_IMAGE_SIZE,
+    description: `Image height in pixels, ${MIN_IMAGE_SIZE}-${MAX_IMAGE_SIZE} (default: 1024)`
+  },
+  model: {
+    type: 'string',
+    description: 'Image generation model to use (default: flux)'
+  },
+  seed: {
+    type: 'integer',
+    minimum: 0,
+    description: 'Random seed for reproducible results (optional)'
+  }
+};
+
+// Turn either input form into a flat list of { prompt, width, height, model, seed }
+function expandBatch(args) {
+  if (args.items) {
+    return args.items.map(item => ({ ...item }));
+  }
+
+  const { prompt, seeds, models, width, height } = args.matrix;
+  const items = [];
+  for (const model of models && models.length > 0 ? models : [undefined]) {
+    for (const seed of seeds && seeds.length > 0 ? seeds : [undefined]) {
+      items.push({ prompt, width, height, model, seed });
+    }
+  }
+  return items;
+}
+
+// Run fn over items with at most `limit` calls in flight; stops starting new work once aborted
+async function runWithConcurrency(items, limit, signal, fn) {
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length && !signal?.aborted) {
+      const index = next++;
+      await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+}
+
+module.exports = {
+  name: 'generate_image_batch',
+  scope: 'image',
+  moderatedFields: ['items.*.prompt', 'matrix.prompt'],
+  description: `Generate up to ${MAX_BATCH_ITEMS} images in one call, from a list of prompts/options or a prompt × seeds × models matrix. Failed items are reported individually.`,
+  inputSchema: {
+    type: 'object',
+    properties: {
+      items: {
+        type: 'array',
+        description: 'Images to generate, each with its own prompt and options',
+        minItems: 1,
+        maxItems: MAX_BATCH_ITEMS,
+        items: {
+          type: 'object',
+          properties: {
+            prompt: {
+              type: 'string',
+              minLength: 1,
+              description: 'Text description of the image to generate'
+            },
+            ...imageOptionProperties
+          },
+          required: ['prompt']
+        }
+      },
+      matrix: {
+        type: 'object',
+        description: 'One prompt rendered for every combination of seeds and models',
+        properties: {
+          prompt: {
+            type: 'string',
+            minLength: 1,
+            description: 'Text description of the image to generate'
+          },
+          seeds: {
+            type: 'array',
+            items: { type: 'integer', minimum: 0 },
+            maxItems: MAX_BATCH_ITEMS,
+            description: 'Seeds to render (default: one random seed)'
+          },
+          models: {
+            type: 'array',
+            items: { type: 'string' },
+            maxItems: MAX_BATCH_ITEMS,
+            description: 'Models to render with (default: flux)'
+          },
+          width: imageOptionProperties.width,
+          height: imageOptionProperties.height
+        },
+        required: ['prompt']
+      },
+      concurrency: {
+        type: 'integer',
+        minimum: 1,
+        maximum: MAX_BATCH_CONCURRENCY,
+        description: `How many images to generate in parallel (default: ${DEFAULT_BATCH_CONCURRENCY})`,
+        default: DEFAULT_BATCH_CONCURRENCY
+      }
+    },
+    oneOf: [
+      { required: ['items'] },
+      { required: ['matrix'] }
+    ]
+  },
+
+  // A full batch at low concurrency takes far longer than a single image
+  timeoutMs: 10 * 60 * 1000,
+
+  // Schemas can't limit a matrix's product, so an oversized one is rejected before it
+  // is charged or queued
+  validate(args) {
+    const count = expandBatch(args).length;
+    if (count > MAX_BATCH_ITEMS) {
+      return `batch expands to ${count} images; the limit is ${MAX_BATCH_ITEMS}`;
+    }
+  },
+
+  // Every image counts against the image rate-limit budget, not just the call
+  cost(args) {
+    return expandBatch(args).length;
+  },
+
+  async handler(args, { services, session, signal, notify, progressToken }) {
+    const items = expandBatch(args);
+
+    const results = new Array(items.length);
+    let completed = 0;
+
+    // The call's own slot runs one image; more only run in parallel on slots the caller
+    // has free, so a batch can't get around MAX_CONCURRENT_TOOL_CALLS
+    const extraSlots = services.reserveToolSlots(session, Math.min(args.concurrency, items.length) - 1);
+    const concurrency = 1 + extraSlots.count;
+
+    try {
+      await runWithConcurrency(items, concurrency, signal, async (item, index) => {
+        const entry = {
+          index,
+          prompt: item.prompt,
+          model: item.model || 'flux',
+          width: item.width || 1024,
+          height: item.height || 1024,
+          seed: item.seed
+        };
+
+        try {
+          const { base64, ...image } = await services.generateImageCached(item.prompt, {
+            width: item.width,
+            height: item.height,
+            model: item.model,
+            seed: item.seed,
+            signal
+          }, session);
+          results[index] = { ...entry, success: true, ...image };
+        } catch (error) {
+          results[index] = { ...entry, success: false, error: error.message };
+        }
+
+        completed++;
+        if (progressToken !== undefined && notify) {
+          notify({
+            jsonrpc: '2.0',
+            method: 'notifications/progress',
+            params: {
+              progressToken,
+              progress: completed,
+              total: items.length,
+              message: `Image ${index + 1} ${results[index].success ? 'done' : 'failed'}`
+            }
+          });
+        }
+      });
+    } finally {
+      extraSlots.release();
+    }
+
+    const succeeded = results.filter(result => result && result.success).length;
+    return {
+      result: {
+        total: items.length,
+        succeeded,
+        failed: items.length - succeeded,
+        items: results
+      },
+      metadata: {
+        concurrency
+      }
+    };
+  },
+
+  history(toolResult) {
+    return toolResult.result.items
+      .filter(item => item && item.success)
+      .map(item => ({ type: 'image', hash: item.hash, url: item.url, mimeType: item.contentType, description: item.prompt }));
+  },
+
+  // Batches are returned as links; inlining dozens of images would bloat the response
+  formatContent(toolResult) {
+    const content = [{ type: 'text', text: JSON.stringify(toolResult, null, 2) }];
+    for (const item of toolResult.result.items) {
+      if (item && item.success) {
+        content.push({
+          type: 'resource_link',
+          uri: item.localUrl || item.url,
+          name: `generated-image-${item.index + 1}`,
+          description: item.prompt,
+          mimeType: item.contentType
+        });
+      }
+    }
+    return content;
+  }
+};
@@ -0,0 +1,106 @@
+// generate_speech: text-to-speech through Pollinations' audio model, cached on disk and
+// returned as native MCP audio content blocks
+
+// How the audio is returned: 'inline' sends an audio content block,
+// 'url' sends only a resource_link to the cached copy, 'both' sends both.
+const AUDIO_OUTPUT_MODES = ['inline', 'url', 'both'];
+
+const SPEECH_VOICES = ['alloy', 'ash', 'ballad', 'coral', 'echo', 'fable', 'nova', 'onyx', 'sage', 'shimmer', 'verse'];
+const SPEECH_FORMATS = ['mp3', 'wav', 'flac', 'opus'];
+
+// Longer input is better split by the caller; the audio model truncates past this
+const MAX_SPEECH_TEXT_LENGTH = 4096;
+
+module.exports = {
+  name: 'generate_speech',
+  scope: 'audio',
+  moderatedFields: ['text'],
+  description: 'Convert text to spoken audio using Pollinations AI',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      text: {
+        type: 'string',
+        minLength: 1,
+        maxLength: MAX_SPEECH_TEXT_LENGTH,
+        description: `Text to speak (up to ${MAX_SPEECH_TEXT_LENGTH} characters)`
+      },
+      voice: {
+        type: 'string',
+        description: 'Voice to speak with (default: alloy)',
+        enum: SPEECH_VOICES,
+        default: 'alloy'
+      },
+      format: {
+        type: 'string',
+        description: 'Audio format (default: mp3)',
+        enum: SPEECH_FORMATS,
+        default: 'mp3'
+      },
+      model: {
+        type: 'string',
+        description: 'Audio model to use',
+        default: 'openai-audio'
+      },
+      output: {
+        type: 'string',
+        description: 'How to return the audio: inline bytes, cached URL only, or both (default: both)',
+        enum: AUDIO_OUTPUT_MODES,
+        default: 'both'
+      }
+    },
+    required: ['text']
+  },
+
+  async handler(args, { services, session, signal }) {
+    const result = await services.generateSpeechCached(args.text, {
+      voice: args.voice,
+      format: args.format,
+      model: args.model,
+      signal
+    }, session);
+    return {
+      result,
+      metadata: {
+        voice: args.voice || 'alloy',
+        format: args.format || 'mp3',
+        model: args.model || 'openai-audio',
+        characters: args.text.length
+      }
+    };
+  },
+
+  history(toolResult, args) {
+    const { hash, contentType } = toolResult.result;
+    return [{ type: 'audio', hash, mimeType: contentType, description: args.text }];
+  },
+
+  formatContent(toolResult, args = {}) {
+    const { base64, ...audio } = toolResult.result;
+    // Without a cached copy there is nothing to link to, so fall back to inline bytes
+    const requested = AUDIO_OUTPUT_MODES.includes(args.output) ? args.output : 'both';
+    const output = audio.localUrl ? requested : 'inline';
+    const content = [];
+
+    if (output !== 'url') {
+      content.push({ type: 'audio', data: base64, mimeType: audio.contentType });
+    }
+
+    content.push({
+      type: 'text',
+      text: JSON.stringify({ ...toolResult, result: audio }, null, 2)
+    });
+
+    if (output !== 'inline') {
+      content.push({
+        type: 'resource_link',
+        uri: audio.localUrl,
+        name: 'generated-speech',
+        description: args.text && args.text.substring(0, 100),
+        mimeType: audio.contentType
+      });
+    }
+
+    return content;
+  }
+};
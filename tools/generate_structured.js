@@ -0,0 +1,167 @@
+// generate_structured: JSON output validated against a caller-supplied JSON Schema,
+// with validation errors fed back to the model for repair
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+
+// Validator for caller-supplied JSON Schemas
+const structuredAjv = new Ajv({ allErrors: true, strict: false });
+addFormats(structuredAjv);
+
+const MAX_STRUCTURED_RETRIES = 5;
+
+// Flatten Ajv errors into { path, message } pairs that read well to both people and models
+function formatSchemaErrors(errors) {
+  return (errors || []).map(error => ({
+    path: error.instancePath || '/',
+    message: error.message,
+    keyword: error.keyword,
+    params: error.params
+  }));
+}
+
+// Models sometimes wrap JSON in markdown fences even in JSON mode
+function parseJsonResponse(content) {
+  const text = String(content).trim();
+  const fenced = text.match(/^```(?:json)?\s*([\s\S]*?)\s*```$/);
+  return JSON.parse(fenced ? fenced[1] : text);
+}
+
+// One violation per line, as fed back to the model and reported when the retries run out
+function describeSchemaErrors(errors) {
+  return errors.map(error => `- ${error.path}: ${error.message}`).join('\n');
+}
+
+// Ask for JSON matching a schema, feeding validation errors back to the model until
+// the response validates; throws with the last violations once the retries run out
+async function generateStructured(pollinations, { prompt, schema, systemPrompt, model, maxRetries = 2, temperature, seed, signal, logger }) {
+  let validate;
+  try {
+    validate = structuredAjv.compile(schema);
+  } catch (error) {
+    throw new Error(`Invalid JSON Schema: ${error.message}`);
+  }
+
+  try {
+    const messages = [
+      {
+        role: 'system',
+        content: [
+          systemPrompt,
+          'Respond only with a JSON value that validates against this JSON Schema. Do not add any other text.',
+          JSON.stringify(schema)
+        ].filter(Boolean).join('\n\n')
+      },
+      { role: 'user', content: prompt }
+    ];
+
+    const attempts = Math.min(maxRetries, MAX_STRUCTURED_RETRIES) + 1;
+    let errors = [];
+
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      const response = await pollinations.chatCompletion(messages, { model, temperature, seed, jsonMode: true, signal });
+      const content = response.content;
+
+      try {
+        const data = parseJsonResponse(content);
+        if (validate(data)) {
+          return { success: true, data, attempts: attempt };
+        }
+        errors = formatSchemaErrors(validate.errors);
+      } catch (error) {
+        errors = [{ path: '/', message: `response is not valid JSON: ${error.message}`, keyword: 'json', params: {} }];
+      }
+
+      logger?.info('Structured output attempt failed', { attempt, attempts, violations: errors.length });
+      messages.push(
+        { role: 'assistant', content: String(content) },
+        {
+          role: 'user',
+          content: `That response does not match the schema:\n${describeSchemaErrors(errors)}\nRespond with corrected JSON only.`
+        }
+      );
+    }
+
+    throw new Error(`No response matched the schema after ${attempts} attempt${attempts === 1 ? '' : 's'}:\n${describeSchemaErrors(errors)}`);
+  } finally {
+    structuredAjv.removeSchema(schema);
+  }
+}
+
+module.exports = {
+  name: 'generate_structured',
+  scope: 'text',
+  moderatedFields: ['prompt', 'system_prompt'],
+  description: 'Generate JSON that validates against a JSON Schema, retrying with the validation errors fed back to the model',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      prompt: {
+        type: 'string',
+        minLength: 1,
+        description: 'What to generate'
+      },
+      schema: {
+        type: 'object',
+        description: 'JSON Schema the response must validate against'
+      },
+      system_prompt: {
+        type: 'string',
+        description: 'Extra system instructions (optional)'
+      },
+      model: {
+        type: 'string',
+        description: 'Language model to use for generation',
+        default: 'openai'
+      },
+      max_retries: {
+        type: 'integer',
+        minimum: 0,
+        maximum: MAX_STRUCTURED_RETRIES,
+        description: `Repair attempts after an invalid response (default: 2, max: ${MAX_STRUCTURED_RETRIES})`,
+        default: 2
+      },
+      temperature: {
+        type: 'number',
+        minimum: 0,
+        maximum: 2,
+        description: 'Sampling temperature between 0 and 2 (optional)'
+      },
+      seed: {
+        type: 'integer',
+        minimum: 0,
+        description: 'Random seed for reproducible results (optional)'
+      }
+    },
+    required: ['prompt', 'schema']
+  },
+
+  async handler(args, { services, signal }) {
+    const result = await generateStructured(services.pollinations, {
+      prompt: args.prompt,
+      schema: args.schema,
+      systemPrompt: args.system_prompt,
+      model: args.model,
+      maxRetries: args.max_retries,
+      temperature: args.temperature,
+      seed: args.seed,
+      signal,
+      logger: services.logger
+    });
+    return {
+      result,
+      metadata: {
+        prompt: args.prompt,
+        model: args.model || 'openai'
+      }
+    };
+  },
+
+  history(toolResult, args) {
+    return [{
+      type: 'text',
+      text: JSON.stringify(toolResult.result.data, null, 2),
+      mimeType: 'application/json',
+      description: args.prompt
+    }];
+  }
+};
@@ -0,0 +1,74 @@
+// generate_text: simple one-shot text generation. Streams with progress
+// notifications when the caller passes a progressToken.
+
+module.exports = {
+  name: 'generate_text',
+  scope: 'text',
+  moderatedFields: ['prompt'],
+  description: 'Generate text content using Pollinations AI language models',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      prompt: {
+        type: 'string',
+        minLength: 1,
+        description: 'Text prompt for content generation'
+      },
+      model: {
+        type: 'string',
+        description: 'Language model to use for generation',
+        default: 'openai'
+      },
+      render_prompt: {
+        type: 'object',
+        description: 'Use a prompt template instead of prompt: {"name": "<template>", "arguments": {...}}. The template may also set the model; a model passed here takes precedence.',
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          arguments: { type: 'object', additionalProperties: { type: 'string' } }
+        },
+        required: ['name']
+      }
+    },
+    // Either a prompt or a template to render one from
+    anyOf: [{ required: ['prompt'] }, { required: ['render_prompt'] }]
+  },
+
+  async handler(args, context) {
+    const { services, signal } = context;
+
+    // With a progressToken the text is streamed and partial output sent as progress
+    const onDelta = services.createTextProgressReporter(context);
+    let result;
+    if (onDelta) {
+      const streamed = await services.pollinations.streamChatCompletion(
+        [{ role: 'user', content: args.prompt }],
+        { model: args.model, signal },
+        onDelta
+      );
+      onDelta.flush();
+      result = { success: true, content: streamed.content };
+    } else {
+      result = await services.pollinations.generateText(args.prompt, args.model, { signal });
+    }
+
+    return {
+      result,
+      metadata: {
+        prompt: args.prompt,
+        model: args.model,
+        streamed: Boolean(onDelta),
+        ...(args.render_prompt && { promptTemplate: args.render_prompt.name })
+      }
+    };
+  },
+
+  history(toolResult, args) {
+    const { content } = toolResult.result;
+    return [{
+      type: 'text',
+      text: typeof content === 'string' ? content : JSON.stringify(content, null, 2),
+      mimeType: typeof content === 'string' ? 'text/plain' : 'application/json',
+      description: args.prompt
+    }];
+  }
+};
@@ -0,0 +1,26 @@
+// get_job: status and, once finished, the result of a background job
+
+module.exports = {
+  name: 'get_job',
+  scope: 'jobs',
+  description: 'Get the status and result of a job started with submit_job',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      job_id: {
+        type: 'string',
+        minLength: 1,
+        description: 'ID returned by submit_job'
+      }
+    },
+    required: ['job_id']
+  },
+
+  async handler(args, { services, session }) {
+    const job = await services.jobs.get(args.job_id, session?.auth?.name);
+    if (!job) {
+      throw new Error(`Job not found: ${args.job_id}`);
+    }
+    return { result: services.jobs.toJSON(job), metadata: {} };
+  }
+};
@@ -0,0 +1,43 @@
+// list_models: the model catalogue with upstream metadata
+
+module.exports = {
+  name: 'list_models',
+  scope: 'models',
+  description: 'List all available models for image and text generation',
+  inputSchema: {
+    type: 'object',
+    properties: {},
+    required: []
+  },
+  outputSchema: {
+    type: 'object',
+    properties: {
+      image: { type: 'array', items: { $ref: '#/$defs/model' } },
+      text: { type: 'array', items: { $ref: '#/$defs/model' } },
+      sources: {
+        type: 'object',
+        description: "Where each list came from: 'upstream' or 'fallback'",
+        properties: {
+          image: { type: 'string' },
+          text: { type: 'string' }
+        }
+      },
+      updatedAt: { type: ['string', 'null'] }
+    },
+    required: ['image', 'text'],
+    $defs: {
+      model: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          description: { type: 'string' }
+        },
+        required: ['name']
+      }
+    }
+  },
+
+  async handler(args, { services }) {
+    return { result: services.modelCatalog.toJSON(), metadata: {} };
+  }
+};
@@ -0,0 +1,43 @@
+// submit_job: run another tool in the background and return a job ID to poll with
+// get_job, for clients that time out before a slow generation finishes
+
+module.exports = {
+  name: 'submit_job',
+  scope: 'jobs',
+  description: 'Run a tool call in the background and return a job ID. Poll it with get_job or pass a webhook_url to be notified when it finishes.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      tool: {
+        type: 'string',
+        minLength: 1,
+        description: 'Name of the tool to run, e.g. generate_image'
+      },
+      arguments: {
+        type: 'object',
+        description: 'Arguments for that tool',
+        default: {}
+      },
+      webhook_url: {
+        type: 'string',
+        description: 'URL that receives a POST with the finished job (optional)'
+      },
+      webhook_secret: {
+        type: 'string',
+        description: 'Secret used to sign the webhook with HMAC-SHA256 (optional, defaults to the server secret)'
+      }
+    },
+    required: ['tool']
+  },
+
+  async handler(args, { services, session }) {
+    const job = await services.jobs.submit(args.tool, args.arguments, session, {
+      webhookUrl: args.webhook_url,
+      webhookSecret: args.webhook_secret
+    });
+    return {
+      result: services.jobs.toJSON(job),
+      metadata: {}
+    };
+  }
+};
@@ -0,0 +1,67 @@
+// transcribe_audio: speech-to-text through Pollinations' audio model, returning the
+// transcript and the detected language
+
+// Pollinations names input audio by format rather than MIME type
+const AUDIO_INPUT_FORMATS = {
+  'audio/wav': 'wav',
+  'audio/mpeg': 'mp3'
+};
+
+module.exports = {
+  name: 'transcribe_audio',
+  scope: 'audio',
+  description: 'Transcribe speech in an audio file to text using Pollinations AI',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      audio: {
+        type: 'string',
+        minLength: 1,
+        description: 'Audio to transcribe: an http(s) URL, data URL or base64 WAV/MP3'
+      },
+      mime_type: {
+        type: 'string',
+        enum: Object.keys(AUDIO_INPUT_FORMATS),
+        description: 'MIME type of bare base64 input (optional, detected from the bytes otherwise)'
+      },
+      language: {
+        type: 'string',
+        minLength: 2,
+        description: 'Language of the speech as an ISO 639-1 code or name, if known (optional)'
+      },
+      model: {
+        type: 'string',
+        description: 'Audio model to use',
+        default: 'openai-audio'
+      }
+    },
+    required: ['audio']
+  },
+
+  async handler(args, { services, signal }) {
+    const audio = await services.loadInputAudio(args.audio, { mimeType: args.mime_type, signal });
+
+    const result = await services.pollinations.transcribeAudio(audio.buffer.toString('base64'), {
+      format: AUDIO_INPUT_FORMATS[audio.mimeType],
+      language: args.language,
+      model: args.model,
+      signal
+    });
+
+    return {
+      result,
+      metadata: {
+        model: args.model || 'openai-audio',
+        language: result.language,
+        mimeType: audio.mimeType,
+        audioBytes: audio.size,
+        source: audio.url ? 'url' : 'base64'
+      }
+    };
+  },
+
+  history(toolResult, args) {
+    const source = toolResult.metadata.source === 'url' ? args.audio : 'uploaded audio';
+    return [{ type: 'text', text: toolResult.result.text, description: `Transcript of ${source}` }];
+  }
+};